@@ -0,0 +1,311 @@
+'use strict';
+
+var url = require('url')
+  , http = require('http')
+  , https = require('https')
+  , util = require('util')
+  , child = require('child_process')
+  , EventEmitter = require('events').EventEmitter
+  , Health = require('./health');
+
+/**
+ * Copy the properties of source to target.
+ *
+ * @param {Object} target
+ * @param {Object} source
+ * @returns {Object} target
+ * @api private
+ */
+function merge(target, source) {
+  Object.keys(source || {}).forEach(function each(key) {
+    target[key] = source[key];
+  });
+
+  return target;
+}
+
+/**
+ * Emit alerts when the latest measurement of a registry crosses a threshold
+ * and again when it recovers. Options:
+ *  - options {Object}: chart options, the `health` thresholds per type are used.
+ *  - thresholds {Object}: thresholds per type, overrides the chart options.
+ *  - debounce {Number}: consecutive results required to change state, default 3.
+ *  - flaps {Number}: state changes within window to consider flapping, default 4.
+ *  - window {Number}: flapping window in milliseconds, default 1 hour.
+ *  - sinks {Array}: functions called with each event and a callback.
+ *  - feed {Feed}: feed to watch for results.
+ *
+ * Events emitted are `alert`, `recover` and `flapping`, each receives an
+ * object `{ event, registry, type, state, previous, value, threshold, t }`.
+ *
+ * @constructor
+ * @param {Object} options
+ * @api public
+ */
+function Alerts(options) {
+  EventEmitter.call(this);
+
+  options = options || {};
+
+  this.options = options.options || require('./options');
+  this.thresholds = options.thresholds || {};
+  this.debounce = options.debounce || 3;
+  this.flaps = options.flaps || 4;
+  this.window = options.window || 36E5;
+  this.sinks = [];
+  this.states = {};
+
+  (options.sinks || []).forEach(this.use, this);
+  if (options.feed) this.watch(options.feed);
+}
+
+util.inherits(Alerts, EventEmitter);
+
+/**
+ * Add a sink that receives every event.
+ *
+ * @param {Function} sink Called with event and completion callback.
+ * @returns {Alerts} fluent interface
+ * @api public
+ */
+Alerts.prototype.use = function use(sink) {
+  if ('function' !== typeof sink) throw new Error('[registry-status-pagelet] sink should be a function');
+
+  this.sinks.push(sink);
+  return this;
+};
+
+/**
+ * Watch the data events of the feed.
+ *
+ * @param {Feed} feed
+ * @returns {Alerts} fluent interface
+ * @api public
+ */
+Alerts.prototype.watch = function watch(feed) {
+  var alerts = this;
+
+  feed.on('data', function data(probe) {
+    alerts.process(probe.data.name, probe.data.registry, probe.latest);
+  });
+
+  return this;
+};
+
+/**
+ * Get the thresholds of the type.
+ *
+ * @param {String} type Data type, e.g. ping.
+ * @returns {Object} thresholds
+ * @api private
+ */
+Alerts.prototype.threshold = function threshold(type) {
+  return this.thresholds[type] || (this.options[type] || {}).health;
+};
+
+/**
+ * Process the latest measurement of the registry for the type. The state only
+ * changes after `debounce` consecutive results, changes are suppressed while
+ * the registry is flapping.
+ *
+ * @param {String} type Data type, e.g. ping.
+ * @param {String} registry Name of the registry.
+ * @param {Mixed} value Latest measurement.
+ * @param {Number} now Optional time of the measurement.
+ * @returns {Alerts} fluent interface
+ * @api public
+ */
+Alerts.prototype.process = function process(type, registry, value, now) {
+  var thresholds = this.threshold(type)
+    , key = registry +'/'+ type
+    , options = {}
+    , current, state;
+
+  if (!thresholds) return this;
+
+  now = now || Date.now();
+  options[type] = { health: thresholds };
+  current = new Health(options).classify(type, value);
+  if (current === 'unknown') return this;
+
+  state = this.states[key] = this.states[key] || {
+    state: 'operational',
+    candidate: null,
+    count: 0,
+    reported: 'operational',
+    changes: [],
+    flapping: false
+  };
+
+  //
+  // Debounce: the new state should be reported consecutively.
+  //
+  if (current === state.state) {
+    state.candidate = null;
+    state.count = 0;
+  } else {
+    if (current !== state.candidate) state.count = 0;
+    state.candidate = current;
+    state.count++;
+  }
+
+  //
+  // Flapping ends once the state did not change for the complete window.
+  //
+  state.changes = state.changes.filter(function filter(t) {
+    return t > now - this.window;
+  }, this);
+
+  if (state.flapping && !state.changes.length) {
+    state.flapping = false;
+    if (state.state !== state.reported) this.send('alert', type, registry, state, value, now);
+  }
+
+  if (state.count < this.debounce) return this;
+
+  state.previous = state.state;
+  state.state = current;
+  state.candidate = null;
+  state.count = 0;
+  state.changes.push(now);
+
+  if (!state.flapping && state.changes.length >= this.flaps) {
+    state.flapping = true;
+    return this.send('flapping', type, registry, state, value, now);
+  }
+
+  if (!state.flapping) this.send('alert', type, registry, state, value, now);
+  return this;
+};
+
+/**
+ * Emit the event and deliver it to all sinks.
+ *
+ * @param {String} event alert, recover or flapping.
+ * @param {String} type Data type, e.g. ping.
+ * @param {String} registry Name of the registry.
+ * @param {Object} state Internal state of the registry.
+ * @param {Mixed} value Latest measurement.
+ * @param {Number} now Time of the measurement.
+ * @returns {Alerts} fluent interface
+ * @api private
+ */
+Alerts.prototype.send = function send(event, type, registry, state, value, now) {
+  var alerts = this
+    , data;
+
+  //
+  // Alerts for an operational state are recoveries.
+  //
+  if (event === 'alert' && state.state === 'operational') event = 'recover';
+  if (event !== 'flapping') state.reported = state.state;
+
+  data = {
+    event: event,
+    registry: registry,
+    type: type,
+    state: state.state,
+    previous: state.previous,
+    value: value,
+    threshold: this.threshold(type),
+    t: now
+  };
+
+  this.emit(event, data);
+  this.sinks.forEach(function each(sink) {
+    sink(data, function delivered(error) {
+      if (error && alerts.listeners('error').length) alerts.emit('error', error);
+    });
+  });
+
+  return this;
+};
+
+//
+// Milliseconds after which a webhook request is aborted.
+//
+Alerts.timeout = 1E4;
+
+/**
+ * Sink that POSTs each event as JSON to the url. Requests that take longer
+ * than the timeout are aborted and reported as failed.
+ *
+ * @param {String} target Url of the webhook.
+ * @param {Object} headers Optional additional headers.
+ * @param {Number} timeout Optional timeout in milliseconds, defaults to
+ *   Alerts.timeout.
+ * @returns {Function} sink
+ * @api public
+ */
+Alerts.webhook = function webhook(target, headers, timeout) {
+  timeout = timeout || Alerts.timeout;
+
+  return function sink(data, fn) {
+    var options = url.parse(target)
+      , body = JSON.stringify(data)
+      , called = false
+      , req;
+
+    options.method = 'POST';
+    options.headers = merge({
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body)
+    }, headers);
+
+    req = (options.protocol === 'https:' ? https : http).request(options, function response(res) {
+      res.resume();
+      res.once('end', function end() {
+        done(res.statusCode >= 400 ? new Error('[registry-status-pagelet] webhook responded with '+ res.statusCode) : null);
+      });
+    });
+
+    req.setTimeout(timeout, function timedout() {
+      done(new Error('[registry-status-pagelet] webhook timed out after '+ timeout +'ms'));
+      req.abort();
+    });
+
+    req.once('error', done);
+    req.end(body);
+
+    /**
+     * Complete the delivery once, the aborted request also emits an error.
+     *
+     * @param {Error} error
+     * @api private
+     */
+    function done(error) {
+      if (called) return;
+
+      called = true;
+      fn(error);
+    }
+  };
+};
+
+/**
+ * Sink that executes a local command for each event. The event is written as
+ * JSON to stdin and available as REGISTRY_ALERT environment variable.
+ *
+ * @param {String} file Path to the executable.
+ * @param {Array} args Optional arguments.
+ * @returns {Function} sink
+ * @api public
+ */
+Alerts.command = function command(file, args) {
+  return function sink(data, fn) {
+    var body = JSON.stringify(data)
+      , proc = child.execFile(file, args || [], {
+          env: merge(merge({}, process.env), { REGISTRY_ALERT: body })
+        }, function done(error) {
+          fn(error || null);
+        });
+
+    proc.stdin.on('error', function ignore() {});
+    proc.stdin.end(body);
+  };
+};
+
+//
+// Expose the alerts.
+//
+module.exports = Alerts;
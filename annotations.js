@@ -0,0 +1,162 @@
+'use strict';
+
+/**
+ * Collection of annotations, e.g. incidents or planned maintenance, that are
+ * displayed on the charts. An annotation has the following properties:
+ *  - registry {String}: name of the registry, `*` for all registries.
+ *  - start {Number}: start of the time range, timestamp or date string.
+ *  - end {Number}: optional end of the range, a marker is shown if omitted.
+ *  - severity {String}: one of Annotations.severities, defaults to info.
+ *  - message {String}: description shown in the tooltip.
+ *  - type {String}: optional probe type, e.g. publish, defaults to all types.
+ *
+ * @constructor
+ * @param {Array} list Initial annotations.
+ * @api public
+ */
+function Annotations(list) {
+  this.list = [];
+  this.id = 0;
+
+  (list || []).forEach(this.add, this);
+}
+
+//
+// Allowed severities, ordered by severity.
+//
+Annotations.severities = [ 'info', 'maintenance', 'incident' ];
+
+/**
+ * Add an annotation, invalid annotations throw an error. The annotations are
+ * kept ordered by start time, in the order they were added for equal times.
+ *
+ * @param {Object} annotation
+ * @returns {Number} id of the annotation
+ * @api public
+ */
+Annotations.prototype.add = function add(annotation) {
+  var start, end;
+
+  annotation = annotation || {};
+  start = this.time(annotation.start);
+  end = annotation.end !== undefined && annotation.end !== null ? this.time(annotation.end) : null;
+
+  if ('string' !== typeof annotation.registry || !annotation.registry) {
+    throw this.error('annotation.registry should be a registry name or *');
+  }
+
+  if (isNaN(start)) throw this.error('annotation.start should be a valid time');
+  if (end !== null && (isNaN(end) || end < start)) {
+    throw this.error('annotation.end should be a valid time after start');
+  }
+
+  if (annotation.severity && !~Annotations.severities.indexOf(annotation.severity)) {
+    throw this.error('annotation.severity should be one of: '+ Annotations.severities.join(', '));
+  }
+
+  this.list.push({
+    id: ++this.id,
+    registry: annotation.registry,
+    type: annotation.type || null,
+    start: start,
+    end: end,
+    severity: annotation.severity || 'info',
+    message: String(annotation.message || '')
+  });
+
+  this.list.sort(function sort(a, b) {
+    return a.start - b.start || a.id - b.id;
+  });
+
+  return this.id;
+};
+
+/**
+ * Remove the annotation.
+ *
+ * @param {Number} id Identifier returned by add.
+ * @returns {Boolean} annotation was removed
+ * @api public
+ */
+Annotations.prototype.remove = function remove(id) {
+  var length = this.list.length;
+
+  this.list = this.list.filter(function filter(annotation) {
+    return annotation.id !== id;
+  });
+
+  return this.list.length !== length;
+};
+
+/**
+ * Get the annotations of the registry that overlap the time range.
+ *
+ * @param {String} registry Name of the registry.
+ * @param {Number} from Optional start of the time range.
+ * @param {Number} to Optional end of the time range.
+ * @returns {Array} annotations
+ * @api public
+ */
+Annotations.prototype.filter = function filter(registry, from, to) {
+  from = from || -Infinity;
+  to = to || Infinity;
+
+  return this.list.filter(function filter(annotation) {
+    var end = annotation.end !== null ? annotation.end : annotation.start;
+
+    return (annotation.registry === '*' || annotation.registry === registry)
+      && annotation.start <= to
+      && end >= from;
+  });
+};
+
+/**
+ * Convert the value to a timestamp.
+ *
+ * @param {Mixed} value Timestamp, Date or date string.
+ * @returns {Number} timestamp
+ * @api private
+ */
+Annotations.prototype.time = function time(value) {
+  if (value instanceof Date) return value.getTime();
+  if ('number' === typeof value) return value;
+
+  return 'string' === typeof value ? new Date(value).getTime() : NaN;
+};
+
+/**
+ * Create a namespaced error.
+ *
+ * @param {String} message
+ * @returns {Error}
+ * @api private
+ */
+Annotations.prototype.error = function error(message) {
+  return new Error('[registry-status-pagelet] '+ message);
+};
+
+/**
+ * Serialize the annotations.
+ *
+ * @returns {Array} annotations
+ * @api public
+ */
+Annotations.prototype.toJSON = function toJSON() {
+  return this.list;
+};
+
+/**
+ * Create annotations from an Array, an Annotations instance is returned as is.
+ *
+ * @param {Mixed} source Array of annotations or Annotations.
+ * @returns {Annotations}
+ * @api public
+ */
+Annotations.from = function from(source) {
+  return source instanceof Annotations ? source : new Annotations(source);
+};
+
+//
+// Expose the annotations.
+//
+module.exports = Annotations;
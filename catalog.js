@@ -0,0 +1,260 @@
+'use strict';
+
+var fs = require('fs')
+  , path = require('path');
+
+//
+// Cache of catalogs loaded from the file system, keyed by absolute path, so
+// each pagelet instance does not have to read and validate the file again.
+//
+var cache = {};
+
+/**
+ * Catalog of registry locations, provided as an Array of locations, each
+ * location holding one or more registries. The catalog will be validated
+ * before it can be used.
+ *
+ * @constructor
+ * @param {Mixed} source Path to JSON file or Array of locations.
+ * @api public
+ */
+function Catalog(source) {
+  this.locations = [];
+  this.index = {};
+
+  if (source) this.load(source);
+}
+
+//
+// Allowed types of registries, the type is used to style the registry.
+//
+Catalog.types = [ 'corporate', 'community', 'private' ];
+
+/**
+ * Load the locations from a file or an Array of locations. Any previously
+ * loaded data will be replaced.
+ *
+ * @param {Mixed} source Path to JSON file or Array of locations.
+ * @returns {Catalog} fluent interface
+ * @api public
+ */
+Catalog.prototype.load = function load(source) {
+  if (source instanceof Catalog) source = source.locations;
+  if ('string' === typeof source) source = this.read(source);
+
+  this.validate(source);
+  this.locations = source;
+  this.index = source.reduce(function reduce(memo, location) {
+    location.registries.forEach(function each(registry) {
+      memo[registry.name] = { registry: registry, location: location };
+    });
+
+    return memo;
+  }, {});
+
+  return this;
+};
+
+/**
+ * Read and parse the locations from a JSON file.
+ *
+ * @param {String} file Path to the file, relative paths resolve from cwd.
+ * @returns {Array} locations
+ * @api private
+ */
+Catalog.prototype.read = function read(file) {
+  var content;
+
+  file = path.resolve(file);
+
+  try { content = fs.readFileSync(file, 'utf-8'); }
+  catch (e) { throw this.error('unable to read registry catalog '+ file +': '+ e.message); }
+
+  try { return JSON.parse(content); }
+  catch (e) { throw this.error('invalid JSON in registry catalog '+ file +': '+ e.message); }
+};
+
+/**
+ * Validate each location and registry in the provided locations, throws an
+ * error describing the first invalid entry.
+ *
+ * @param {Array} locations
+ * @returns {Catalog} fluent interface
+ * @api public
+ */
+Catalog.prototype.validate = function validate(locations) {
+  var catalog = this
+    , names = {}
+    , ids = {};
+
+  if (!Array.isArray(locations) || !locations.length) {
+    throw this.error('registry catalog should be a non-empty array of locations');
+  }
+
+  locations.forEach(function each(location, i) {
+    var at = 'locations['+ i +']';
+
+    if (!location || 'object' !== typeof location) {
+      throw catalog.error(at +' should be an object');
+    }
+
+    if (!catalog.identifier(location.id)) {
+      throw catalog.error(at +'.id should be a string of letters, digits, - or _');
+    }
+
+    if (location.id in ids) throw catalog.error(at +'.id `'+ location.id +'` is not unique');
+    ids[location.id] = true;
+
+    if (!catalog.lonlat(location.lonlat)) {
+      throw catalog.error(at +'.lonlat should be [longitude (-180..180), latitude (-90..90)]');
+    }
+
+    if (!Array.isArray(location.registries) || !location.registries.length) {
+      throw catalog.error(at +'.registries should be a non-empty array');
+    }
+
+    location.registries.forEach(function each(registry, j) {
+      var at = 'locations['+ i +'].registries['+ j +']';
+
+      if (!registry || 'object' !== typeof registry) {
+        throw catalog.error(at +' should be an object');
+      }
+
+      if (!catalog.identifier(registry.name)) {
+        throw catalog.error(at +'.name should be a string of letters, digits, - or _');
+      }
+
+      if (registry.name in names) {
+        throw catalog.error(at +'.name `'+ registry.name +'` is also used by '+ names[registry.name]);
+      }
+
+      names[registry.name] = at;
+
+      if ('string' !== typeof registry.url || !registry.url) {
+        throw catalog.error(at +'.url should be a non-empty string');
+      }
+
+      if (!~Catalog.types.indexOf(registry.type)) {
+        throw catalog.error(at +'.type should be one of: '+ Catalog.types.join(', '));
+      }
+
+      //
+      // Display name and icon are optional, provide sane defaults.
+      //
+      registry.display = registry.display || registry.name;
+      registry.icon = registry.icon || '';
+    });
+  });
+
+  return this;
+};
+
+/**
+ * Check if the value can be used as identifier, it will be used as CSS class
+ * and element ID on the client side.
+ *
+ * @param {Mixed} value
+ * @returns {Boolean}
+ * @api private
+ */
+Catalog.prototype.identifier = function identifier(value) {
+  return 'string' === typeof value && /^[a-z][\w-]*$/i.test(value);
+};
+
+/**
+ * Check if the value is a valid longitude and latitude pair.
+ *
+ * @param {Mixed} value
+ * @returns {Boolean}
+ * @api private
+ */
+Catalog.prototype.lonlat = function lonlat(value) {
+  return Array.isArray(value)
+    && value.length === 2
+    && 'number' === typeof value[0] && value[0] >= -180 && value[0] <= 180
+    && 'number' === typeof value[1] && value[1] >= -90 && value[1] <= 90;
+};
+
+/**
+ * Create a namespaced error.
+ *
+ * @param {String} message
+ * @returns {Error}
+ * @api private
+ */
+Catalog.prototype.error = function error(message) {
+  return new Error('[registry-status-pagelet] '+ message);
+};
+
+/**
+ * Names of all registries in the catalog.
+ *
+ * @returns {Array} names
+ * @api public
+ */
+Catalog.prototype.names = function names() {
+  return Object.keys(this.index);
+};
+
+/**
+ * Get the registry by name.
+ *
+ * @param {String} name Name of the registry, e.g. npmjs.
+ * @returns {Object} registry or undefined if unknown
+ * @api public
+ */
+Catalog.prototype.get = function get(name) {
+  return this.has(name) ? this.index[name].registry : undefined;
+};
+
+/**
+ * Get the location of the registry.
+ *
+ * @param {String} name Name of the registry, e.g. npmjs.
+ * @returns {Object} location or undefined if unknown
+ * @api public
+ */
+Catalog.prototype.location = function location(name) {
+  return this.has(name) ? this.index[name].location : undefined;
+};
+
+/**
+ * Check if the registry is part of the catalog.
+ *
+ * @param {String} name Name of the registry, e.g. npmjs.
+ * @returns {Boolean}
+ * @api public
+ */
+Catalog.prototype.has = function has(name) {
+  return Object.prototype.hasOwnProperty.call(this.index, name);
+};
+
+/**
+ * Serialize the catalog to its locations.
+ *
+ * @returns {Array} locations
+ * @api public
+ */
+Catalog.prototype.toJSON = function toJSON() {
+  return this.locations;
+};
+
+/**
+ * Create a catalog from the source, catalogs read from a file are cached.
+ *
+ * @param {Mixed} source Path to JSON file, Array of locations or Catalog.
+ * @returns {Catalog}
+ * @api public
+ */
+Catalog.from = function from(source) {
+  if (source instanceof Catalog) return source;
+  if ('string' !== typeof source) return new Catalog(source);
+
+  source = path.resolve(source);
+  return cache[source] = cache[source] || new Catalog(source);
+};
+
+//
+// Expose the catalog.
+//
+module.exports = Catalog;
@@ -0,0 +1,147 @@
+'use strict';
+
+var url = require('url')
+  , http = require('http')
+  , util = require('util')
+  , https = require('https')
+  , EventEmitter = require('events').EventEmitter;
+
+/**
+ * Recent changes of the npm registry, the replication lag probe checks if the
+ * modules of these changes are available on every registry. The changes are
+ * refreshed periodically once started. Options:
+ *  - url {String}: CouchDB changes feed, defaults to the changes of skimdb.
+ *  - interval {Number}: refresh interval in milliseconds, defaults to 3 minutes.
+ *  - timeout {Number}: request timeout in milliseconds, defaults to 5 seconds.
+ *
+ * Other sources should implement `start()` and `stop()` and keep the changes
+ * in `list`.
+ *
+ * @constructor
+ * @param {Object} options
+ * @api public
+ */
+function Changes(options) {
+  EventEmitter.call(this);
+
+  options = options || {};
+
+  this.url = options.url || Changes.url;
+  this.interval = options.interval || 18E4;
+  this.timeout = options.timeout || 5E3;
+
+  this.list = [];
+  this.timer = null;
+  this.request = null;
+  this.running = false;
+}
+
+util.inherits(Changes, EventEmitter);
+
+//
+// Most recent changes of the npm registry, including the documents.
+//
+Changes.url = 'https://skimdb.npmjs.com/registry/_changes?descending=true&limit=25&include_docs=true';
+
+/**
+ * Fetch the changes and keep refreshing them, calling start on a running
+ * source is ignored.
+ *
+ * @returns {Changes} fluent interface
+ * @api public
+ */
+Changes.prototype.start = function start() {
+  if (this.running) return this;
+
+  this.running = true;
+  this.refresh();
+
+  return this;
+};
+
+/**
+ * Stop refreshing the changes, a pending request is aborted.
+ *
+ * @returns {Changes} fluent interface
+ * @api public
+ */
+Changes.prototype.stop = function stop() {
+  var req = this.request;
+
+  this.running = false;
+  this.request = null;
+  clearTimeout(this.timer);
+
+  if (req) req.abort();
+  return this;
+};
+
+/**
+ * Request the changes and schedule the next refresh. The changes are kept if
+ * the request fails.
+ *
+ * @api private
+ */
+Changes.prototype.refresh = function refresh() {
+  var target = url.parse(this.url)
+    , changes = this
+    , req;
+
+  req = this.request = (target.protocol === 'https:' ? https : http).get(target, function response(res) {
+    var body = '';
+
+    res.setEncoding('utf-8');
+    res.on('data', function data(chunk) {
+      body += chunk;
+    });
+
+    res.on('end', function end() {
+      if (res.statusCode !== 200) {
+        return done(changes.error('changes feed responded with '+ res.statusCode));
+      }
+
+      try { changes.list = JSON.parse(body).results || []; }
+      catch (error) { return done(error); }
+
+      done();
+    });
+  });
+
+  req.setTimeout(this.timeout, function timeout() {
+    done(changes.error('changes feed timed out after '+ changes.timeout +'ms'));
+    req.abort();
+  });
+
+  req.on('error', done);
+
+  /**
+   * Complete the request once, requests of a stopped source are ignored.
+   *
+   * @param {Error} error
+   * @api private
+   */
+  function done(error) {
+    if (changes.request !== req) return;
+
+    changes.request = null;
+    changes.timer = setTimeout(changes.refresh.bind(changes), changes.interval);
+
+    if (error && changes.listeners('error').length) changes.emit('error', error);
+  }
+};
+
+/**
+ * Create a namespaced error.
+ *
+ * @param {String} message
+ * @returns {Error}
+ * @api private
+ */
+Changes.prototype.error = function error(message) {
+  return new Error('[registry-status-pagelet] '+ message);
+};
+
+//
+// Expose the changes.
+//
+module.exports = Changes;
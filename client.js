@@ -1,4 +1,4 @@
-/*global d3,topojson,pipe*/
+/*global d3,topojson,pipe,EventSource*/
 'use strict';
 
 /**
@@ -11,7 +11,7 @@
  */
 function Map(data, dispatch) {
   this.projection = d3.geo.mercator();
-  this.path       = d3.geo.path();
+  this.path       = d3.geo.path().projection(this.projection);
 
   this.dispatch = dispatch;
   this.options  = data.options || {};
@@ -23,22 +23,21 @@ function Map(data, dispatch) {
  *
  * @param {Element} base SVG element holding the map.
  * @param {Function} set add properties to SVG element.
+ * @param {Array} size Width and height of the map.
  * @returns {Map} fluent interface
  * @api public
  */
-Map.prototype.initialize = function initialize(base, set) {
-  this.container = set(
-    base.append('svg').attr('class', 'map'),
-    this.options.width * this.options.ratio,
-    this.options.height
-  );
-
-  this.path = this.path.projection(this.projection);
-  this.projection = this.projection.scale(this.options.scale);
+Map.prototype.initialize = function initialize(base, set, size) {
+  this.set = set;
+  this.container = base.append('svg').attr({
+    class: 'map',
+    role: 'img',
+    'aria-label': 'Map of the registry locations'
+  });
 
   this.draw();
 
-  return this;
+  return this.resize(size);
 };
 
 /**
@@ -48,17 +47,15 @@ Map.prototype.initialize = function initialize(base, set) {
  * @api public
  */
 Map.prototype.draw = function draw() {
-  var world  = this.container.append('g').attr('class', 'countries'),
-      colors = this.colors;
+  this.world = this.container.append('g').attr('class', 'countries');
 
   //
   // Draw the world.
   //
-  world.selectAll('path')
+  this.world.selectAll('path')
     .data(this.data.world.features)
     .enter()
     .append('path')
-    .attr('d', this.path)
     .attr('class', function (d) {
       return [
         d.properties.name
@@ -70,18 +67,68 @@ Map.prototype.draw = function draw() {
       ].join(' ');
     });
 
-  //
-  // Update the position of the drawn map relative to the containing SVG element.
-  //
-  this.projection = this.projection.translate([
-    (world[0][0].getBoundingClientRect().width / 2) - 75,
-    this.options.height / 1.6  // pretty arbitrary value, exact ratio unknown?
+  return this;
+};
+
+/**
+ * Resize the map, the world is fitted in the new dimensions and the paths of
+ * all countries are redrawn.
+ *
+ * @param {Array} size Width and height of the map.
+ * @return {Map} fluent interface
+ * @api public
+ */
+Map.prototype.resize = function resize(size) {
+  this.set(this.container, size[0], size[1]);
+  this.fit(size[0], size[1]);
+  this.world.selectAll('path').attr('d', this.path);
+
+  return this;
+};
+
+/**
+ * Bounds of the world at scale 1 without translation.
+ *
+ * @return {Array} top left and bottom right corner.
+ * @api private
+ */
+Map.prototype.bounds = function bounds() {
+  this.projection.scale(1).translate([0, 0]);
+  return this.path.bounds(this.data.world);
+};
+
+/**
+ * Ratio of the height to the width of the world.
+ *
+ * @return {Number} aspect ratio
+ * @api public
+ */
+Map.prototype.aspect = function aspect() {
+  var bounds = this.bounds();
+  return (bounds[1][1] - bounds[0][1]) / (bounds[1][0] - bounds[0][0]);
+};
+
+/**
+ * Scale and translate the projection so the world fits the dimensions and is
+ * centered.
+ *
+ * @param {Number} width
+ * @param {Number} height
+ * @return {Map} fluent interface
+ * @api private
+ */
+Map.prototype.fit = function fit(width, height) {
+  var bounds = this.bounds()
+    , scale = Math.min(
+        width / (bounds[1][0] - bounds[0][0]),
+        height / (bounds[1][1] - bounds[0][1])
+      );
+
+  this.projection.scale(scale).translate([
+    (width - scale * (bounds[1][0] + bounds[0][0])) / 2,
+    (height - scale * (bounds[1][1] + bounds[0][1])) / 2
   ]);
 
-  //
-  // Redraw paths of all countries based on the translated map.
-  //
-  world.selectAll('path').data(this.data.world.features).attr('d', this.path);
   return this;
 };
 
@@ -92,15 +139,20 @@ Map.prototype.draw = function draw() {
  * @param {Object} data World map data.
  * @param {Object} dispatch Event handler.
  * @param {Map} map
+ * @param {Selection} root Element of the pagelet, lookups are scoped to it.
  * @api public
  */
-function Registries(data, dispatch, map) {
+function Registries(data, dispatch, map, root) {
   this.map = map;
+  this.root = root;
   this.dispatch = dispatch;
   this.options = data.options || {};
+  this.health = data.health || {};
+  this.selected = [];
   this.data = data;
 
   this.locations = map.container.append('g').attr('class', 'registries');
+  this.tip = root.select('.tooltip');
 }
 
 /**
@@ -111,18 +163,226 @@ function Registries(data, dispatch, map) {
  * @api public
  */
 Registries.prototype.add = function add(data, marker) {
-  this.locations
-    .selectAll('path')
-    .data(data)
-    .enter()
-    .append('path')
-    .attr('class', this.id)
-    .attr('d', marker)
-    .attr('transform', this.translate.bind(this));
+  this.list = data;
+  this.marker = marker;
+
+  return this.position();
+};
+
+/**
+ * Cluster the locations and move the markers to the current projection of
+ * their location. Markers are added or removed if the clusters change.
+ *
+ * @returns {Registries} fluent interface
+ * @api public
+ */
+Registries.prototype.position = function position() {
+  var registries = this
+    , markers = this.locations.selectAll('.marker').data(this.cluster(), this.id)
+    , added = markers.enter().append('g').attr('class', 'marker');
+
+  markers.exit().remove();
+
+  added.append('path').attr('d', this.marker);
+  added.append('g').attr('class', 'count').call(function badge(count) {
+    count.append('circle').attr('r', 7);
+    count.append('text').attr({ 'text-anchor': 'middle', dy: 4 });
+  });
+
+  added
+    .on('click', function click(datum) {
+      registries.choose(datum, d3.event);
+    })
+    .on('mouseover', function mouseover(datum) {
+      registries.preview(datum);
+    })
+    .on('mouseout', function mouseout() {
+      registries.preview(null);
+    });
+
+  //
+  // The marker is placed with its tip on the location, use the bounds of the
+  // marker path to determine the offset.
+  //
+  if (!this.bounds) this.bounds = added.select('path').node().getBBox();
+
+  markers.attr('transform', this.translate.bind(this));
+  markers.select('path').attr('class', this.id);
+  markers.select('.count')
+    .style('display', function (d) {
+      return d.registries.length > 1 ? null : 'none';
+    })
+    .attr('transform', 'translate('+ [ this.bounds.x + this.bounds.width, this.bounds.y ].join() +')')
+    .select('text').text(function (d) {
+      return d.registries.length;
+    });
+
+  return this.status().highlight(this.selected);
+};
+
+/**
+ * Group locations that are projected close to each other, each cluster
+ * contains the registries of all its locations.
+ *
+ * @returns {Array} clusters
+ * @api private
+ */
+Registries.prototype.cluster = function cluster() {
+  var radius = this.options.cluster || 0
+    , projection = this.map.projection
+    , clusters = [];
+
+  this.list.forEach(function each(location) {
+    var xy = projection(location.lonlat)
+      , near = clusters.filter(function filter(cluster) {
+          return Math.sqrt(
+            Math.pow(cluster.xy[0] - xy[0], 2) + Math.pow(cluster.xy[1] - xy[1], 2)
+          ) <= radius;
+        })[0];
+
+    if (!near) return clusters.push({
+      registries: location.registries.slice(),
+      points: [ xy ],
+      xy: xy
+    });
+
+    //
+    // Place the cluster at the center of its locations.
+    //
+    near.registries = near.registries.concat(location.registries);
+    near.points.push(xy);
+    near.xy = [ 0, 1 ].map(function center(axis) {
+      return d3.mean(near.points, function (point) { return point[axis]; });
+    });
+  });
+
+  return clusters;
+};
+
+/**
+ * Select the registry of the marker, show a chooser if the marker represents
+ * multiple registries.
+ *
+ * @param {Object} datum Registry data.
+ * @param {Event} event Click event, modifier keys add to the comparison.
+ * @api private
+ */
+Registries.prototype.choose = function choose(datum, event) {
+  var toggle = event && (event.ctrlKey || event.metaKey || event.shiftKey)
+    , registries = this;
+
+  if (datum.registries.length === 1) return this.dispatch.select(datum.registries[0].name, toggle);
+
+  this.show(datum.registries.map(function map(registry) {
+    return '<a href="#'+ registry.name +'" data-registry="'+ registry.name +'">'
+      + registries.describe(registry) +'</a>';
+  }).join('<br>'));
+
+  this.tip.selectAll('a').on('click', function click() {
+    var event = d3.event;
+
+    event.preventDefault();
+    registries.dispatch.select(this.getAttribute('data-registry'), toggle || event.ctrlKey || event.metaKey || event.shiftKey);
+  });
+};
+
+/**
+ * Preview the names and health of the registries of the marker, hide the
+ * preview if no registry data is provided.
+ *
+ * @param {Object} datum Registry data.
+ * @api private
+ */
+Registries.prototype.preview = function preview(datum) {
+  if (!datum) return this.tip.filter(function filter() {
+    return !d3.select(this).select('a').node();
+  }).style('display', 'none');
+
+  this.show(datum.registries.map(this.describe, this).join('<br>'));
+};
+
+/**
+ * Describe the name and health of the registry as HTML.
+ *
+ * @param {Object} registry
+ * @return {String} HTML
+ * @api private
+ */
+Registries.prototype.describe = function describe(registry) {
+  var state = (this.health[registry.name] || {}).state || 'unknown';
+
+  return '<span class="badge '+ state +'"></span>'
+    + d3.select(document.createElement('div')).text(registry.display || registry.name).html()
+    + ' <small>'+ state +'</small>';
+};
+
+/**
+ * Show the content in the tooltip next to the pointer.
+ *
+ * @param {String} content HTML
+ * @api private
+ */
+Registries.prototype.show = function show(content) {
+  var position = d3.mouse(this.root.select('.svg').node());
+
+  this.tip.interrupt().html(content).style({
+    left: position[0] + 20 + 'px',
+    top: position[1] + 20 + 'px',
+    display: 'block',
+    opacity: 1
+  });
+};
+
+//
+// Health states ordered by severity.
+//
+Registries.states = [ 'unknown', 'operational', 'degraded', 'outage' ];
+
+/**
+ * Update the health of a registry and fill the markers by the most severe
+ * state of the registries at each location.
+ *
+ * @param {String} name Optional name of the registry.
+ * @param {Object} health Health state of the registry.
+ * @returns {Registries} fluent interface
+ * @api public
+ */
+Registries.prototype.status = function status(name, health) {
+  var registries = this;
+
+  if (name) this.health[name] = health;
+
+  this.locations.selectAll('path').each(function each(datum) {
+    var element = d3.select(this)
+      , state = registries.state(datum);
+
+    Registries.states.forEach(function each(key) {
+      element.classed(key, key === state);
+    });
+  });
 
   return this;
 };
 
+/**
+ * Return the most severe health state of the registries of the marker.
+ *
+ * @param {Object} datum Registry data.
+ * @returns {String} state
+ * @api public
+ */
+Registries.prototype.state = function state(datum) {
+  var health = this.health;
+
+  return datum.registries.reduce(function reduce(memo, registry) {
+    var current = (health[registry.name] || {}).state || 'unknown';
+
+    return Registries.states.indexOf(current) > Registries.states.indexOf(memo)
+      ? current
+      : memo;
+  }, 'unknown');
+};
+
 /**
  * Return the IDs of all registries at the current location.
  *
@@ -137,28 +397,36 @@ Registries.prototype.id = function id(datum) {
 };
 
 /**
- * Highlight the selected registry.
+ * Highlight the selected registries.
  *
- * @param {String} className
+ * @param {Array} names Class names of the selected registries.
  * @api public
  */
-Registries.prototype.highlight = function highlight(className) {
+Registries.prototype.highlight = function highlight(names) {
+  this.selected = [].concat(names);
   this.locations.selectAll('path').classed('highlight', false);
-  this.locations.selectAll('path.'+ className).classed('highlight', true);
+
+  this.selected.forEach(function each(className) {
+    this.locations.selectAll('path.'+ className).classed('highlight', true);
+  }, this);
+
+  return this;
 };
 
 /**
- * Translate the marker to calculated map position.
+ * Translate the marker to calculated map position, the tip of the marker
+ * points at the location.
  *
- * @param {Object} registry
+ * @param {Object} cluster
  * @api public
  */
-Registries.prototype.translate = function translate(registry) {
-  var xy = this.map.projection(registry.lonlat);
-  xy[0] = xy[0] - 21/2;
-  xy[1] = xy[1] - 26; // TODO: use actual height/width of marker
+Registries.prototype.translate = function translate(cluster) {
+  var bounds = this.bounds;
 
-  return 'translate('+ xy.join() +')';
+  return 'translate('+ [
+    cluster.xy[0] - bounds.x - bounds.width / 2,
+    cluster.xy[1] - bounds.y - bounds.height
+  ].join() +')';
 };
 
 /**
@@ -167,63 +435,247 @@ Registries.prototype.translate = function translate(registry) {
  * @constructor
  * @param {Object} data World map data.
  * @param {Object} dispatch Event handler.
+ * @param {Selection} root Element of the pagelet, lookups are scoped to it.
  * @api public
  */
-function Charts(data, dispatch) {
-  data.options = data.options || {};
-  data.options.width = data.options.width * (1 - data.options.ratio);
+function Charts(data, dispatch, root) {
+  var options = data.options || {};
 
+  this.root = root;
+  this.scope = root.attr('data-status');
   this.data = data;
-  this.options = data.options;
+  this.options = {};
+  this.annotations = data.overlays || [];
+  this.shades = Charts.count(data.themes, 'heatmap');
+  this.colors = Charts.count(data.themes, 'series');
   this.dispatch = dispatch;
+  this.mirrors = {};
+  this.fetched = {};
+  this.zooms = {};
   this.stack = {};
+  this.visible = null;
+
+  //
+  // Copy the options, the dimensions depend on the size of the container.
+  //
+  Object.keys(options).forEach(function each(key) {
+    this.options[key] = options[key];
+  }, this);
 }
 
+/**
+ * Count the numbered CSS custom properties of the serialized theme, e.g. the
+ * shades of the heatmap or the colors of compare mode. Every theme has the
+ * number of colors defined by Theme in theme.js.
+ *
+ * @param {Object} themes CSS custom properties per theme name.
+ * @param {String} name Name of the colors, heatmap or series.
+ * @return {Number} count
+ * @api private
+ */
+Charts.count = function count(themes, name) {
+  var variables = themes && themes[Object.keys(themes)[0]] || {}
+    , pattern = new RegExp('^--status-' + name + '-\\d+$');
+
+  return Object.keys(variables).filter(function filter(property) {
+    return pattern.test(property);
+  }).length;
+};
+
 /**
  * Initialize the map on the provided element.
  *
  * @param {Element} base SVG element holding the charts.
  * @param {Function} set add properties to SVG element.
+ * @param {Array} size Width and height of the charts.
  * @return {Chart} fluent interface
  */
-Charts.prototype.initialize = function initialize(base, transform) {
-  var groups = {};
+Charts.prototype.initialize = function initialize(base, transform, size) {
+  var groups = this.groups = {};
+
+  this.base = base;
+  this.transform = transform;
+  this.options.width = size[0];
+  this.options.height = size[1];
+
+  //
+  // Container of the data tables that are alternatives for the charts.
+  //
+  if (!this.tables) this.tables = base.append('div').attr('class', 'tables visually-hidden');
 
   //
   // Create new SVG element for all charts, the width is adjusting for border width
   // or any cross browser inconsistencies.
   //
   this.container = transform(
-    base.append('svg').attr('class', 'charts'),
+    base.append('svg').attr({
+      class: 'charts',
+      role: 'img',
+      'aria-label': 'Charts of the selected registries, the data is also available as tables'
+    }),
     this.options.width - 10,
-    this.options.height
+    this.height()
   );
 
   //
-  // Create groups per per registry and add charts per data type.
+  // Create groups per registry in the catalog.
   //
-  for (var type in this.data.status) {
-    for (var registry in this.data.status[type]) {
-      if (!(registry in groups)) {
-        groups[registry] = this.container.append('g').attr({
-          class: 'registry ' + registry,
-          transform: 'translate(0,' + this.options.margin.top + ')'
-        });
-      }
+  this.data.locations.forEach(function each(location) {
+    location.registries.forEach(function each(registry) {
+      groups[registry.name] = this.container.append('g').attr({
+        class: 'registry ' + registry.name,
+        transform: 'translate(0,' + this.options.margin.top + ')'
+      });
+    }, this);
+  }, this);
+
+  //
+  // Add charts per data type, data of registries unknown to the catalog and
+  // types without chart options are ignored.
+  //
+  this.types().forEach(function each(type) {
+    for (var registry in this.data.recent[type]) {
+      if (!(registry in groups)) continue;
 
       this.add(
         groups[registry],
-        this.name(type, registry),
-        this.data.status[type][registry],
-        this.data.latest[type][registry],
+        type,
+        registry,
+        this.data.recent[type][registry],
+        (this.data.current[type] || {})[registry],
         this.options[type]
-      );
+      ).annotate(this.notes(type, registry));
     }
-  }
+  }, this);
+
+  //
+  // Registries without data show a placeholder until their first result.
+  //
+  Object.keys(groups).forEach(function each(registry) {
+    if (groups[registry].select('.type').empty()) this.placeholder(groups[registry]);
+  }, this);
+
+  return this.show(this.visible);
+};
+
+/**
+ * Add the placeholder of a registry without data.
+ *
+ * @param {Element} group Registry group.
+ * @api private
+ */
+Charts.prototype.placeholder = function placeholder(group) {
+  group.append('text').attr({
+    class: 'placeholder',
+    x: Math.round((this.options.width - 10) / 2),
+    y: Math.round(this.options.height / 2),
+    'text-anchor': 'middle'
+  }).text('No data yet');
+};
+
+/**
+ * Get the data types that have chart options, e.g. ping or a custom probe type.
+ *
+ * @return {Array} types
+ * @api private
+ */
+Charts.prototype.types = function types() {
+  return Object.keys(this.data.recent).filter(this.charted, this);
+};
+
+/**
+ * Check if the data type has chart options.
+ *
+ * @param {String} type Data type, per example ping.
+ * @return {Boolean} charted
+ * @api private
+ */
+Charts.prototype.charted = function charted(type) {
+  var options = this.options[type];
+
+  return !!options && 'object' === typeof options && 'visual' in options;
+};
+
+/**
+ * Height of the charts, charts of custom probe types are added below so the
+ * height grows to fit them.
+ *
+ * @return {Number} height in pixels
+ * @api private
+ */
+Charts.prototype.height = function height() {
+  var margin = this.options.margin
+    , visible = this.visible;
+
+  return Math.max(
+    this.options.height,
+    this.types().filter(function filter(type) {
+      return !visible || !!~visible.indexOf(type);
+    }).length * (Math.round(this.options.height / 5) + margin.bottom * 2) + margin.top
+  );
+};
+
+/**
+ * Show only the charts of the data types, the charts below hidden charts move
+ * up to fill the space.
+ *
+ * @param {Array} types Visible data types, all data types if null.
+ * @return {Charts} fluent interface
+ * @api public
+ */
+Charts.prototype.show = function show(types) {
+  var margin = this.options.margin
+    , height = Math.round(this.options.height / 5) + margin.bottom * 2;
+
+  this.visible = types || null;
+  this.container.selectAll('.registry').each(function each() {
+    var group = d3.select(this)
+      , n = 0;
+
+    group.selectAll('.type').each(function each() {
+      var shown = !types || !!~types.indexOf(this.getAttribute('data-type'));
+
+      d3.select(this).style('display', shown ? null : 'none');
+      if (shown) d3.select(this).attr('transform', 'translate('+ [ margin.left, n++ * height ].join() +')');
+    });
+
+    group.select('.legend').attr('transform', 'translate('+ margin.left +','+ (n * height - margin.bottom) +')');
+  });
 
+  this.transform(this.container, this.options.width - 10, this.height());
   return this;
 };
 
+/**
+ * Resize the charts by creating them again, the current data and time ranges
+ * are kept. Charts in compare mode are not recreated, compare again after
+ * resizing.
+ *
+ * @param {Array} size Width and height of the charts.
+ * @return {Charts} fluent interface
+ * @api public
+ */
+Charts.prototype.resize = function resize(size) {
+  Object.keys(this.stack).forEach(function each(name) {
+    var chart = this.stack[name]
+      , registry = name.split(':')[1];
+
+    if (chart.series) return;
+
+    this.data.recent[chart.type][registry] = chart.data;
+    this.data.current[chart.type][registry] = chart.latest;
+  }, this);
+
+  this.container.remove();
+  this.tables.selectAll('table').remove();
+  this.comparison = null;
+  this.mirrors = {};
+  this.fetched = {};
+  this.stack = {};
+
+  return this.initialize(this.base, this.transform, size);
+};
+
 /**
  * Handle selection of npm registry. Hide charts and data but the selected registry.
  *
@@ -238,6 +690,11 @@ Charts.prototype.select = function select(id) {
   //
   if (this.container.select('.show.' + id)[0][0]) return;
 
+  //
+  // Charts in compare mode no longer need updates once hidden.
+  //
+  if (id !== 'compare') this.mirrors = {};
+
   //
   // Hide current registry charts.
   //
@@ -261,98 +718,627 @@ Charts.prototype.select = function select(id) {
 };
 
 /**
- * Add a new chart to the collection. The dimensions, placement and some options
- * will be preconfigured for a nice visual layout.
+ * Compare registries, charts of visuals that draw series, like the line, are
+ * overlaid on a shared axis and other charts are shown side by side.
  *
- * @param {Element} group
- * @param {String} name Unique identifier.
- * @param {Array} data Collection of data object.
- * @param {Object} latest Most recent measurement for the chart, displayed left.
- * @param {Object} options
+ * @param {Array} ids Registry IDs, the order determines the colors.
+ * @return {Charts} fluent interface
  * @api public
  */
-Charts.prototype.add = function add(base, name, data, latest, options) {
-  var container = base.append('g').attr('class', 'type ' + name)
-    , elements = base.selectAll('.type')[0]
-    , margin = this.options.margin
-    , width = this.options.width - margin.left - margin.right
-    , height = Math.round(this.options.height / 5)
-    , vertical = (elements.length - 1) * (height + margin.bottom * 2)
-    , translate = [ this.options.margin.left, vertical ].join();
+Charts.prototype.compare = function compare(ids) {
+  var shown = !this.container.select('.compare.show').empty()
+    , base;
 
   //
-  // Translate the graph to the proper place and define a drawable area on
-  // the chart defined by clip path.
+  // Replace the current comparison, if any.
   //
-  container.attr('transform', 'translate('+ translate +')');
+  if (this.comparison) this.comparison.remove();
+  this.mirrors = {};
 
-  //
-  // Add some options that are forced from the charts SVG container.
-  //
-  options = options || {};
-  options.height = height;
-  options.width = width;
-  options.ratio = this.options.ratio;
-  options.animation = this.options.animation;
+  base = this.comparison = this.container.append('g').attr({
+    class: 'registry compare' + (shown ? ' show' : ''),
+    transform: 'translate(0,' + this.options.margin.top + ')'
+  });
 
-  //
-  // Initialize the chart and add it to the stack for reference.
-  //
-  this.stack[name] = new Chart(name, container, data, latest, options);
+  this.types().forEach(function each(type) {
+    var visual = Chart.find(this.options[type].visual);
+
+    if (visual.series) this.overlay(base, type, ids);
+    else this.columns(base, type, ids);
+  }, this);
+
+  this.legend(base, ids);
+  this.show(this.visible);
+  if (!shown) this.select('compare');
+
+  return this;
 };
 
 /**
- * Create unique identifier for a chart based on data type and registry name.
+ * Overlay the data of the registries in a single chart, the data is shared
+ * with the chart of each registry.
  *
+ * @param {Element} base Compare group.
  * @param {String} type Data type, per example ping.
- * @param {String} registry Name of the registry, per example Nodejitsu.
- * @return {String} unique identifier
- * @api public
+ * @param {Array} ids Registry IDs.
+ * @api private
  */
-Charts.prototype.name = function name(type, registry) {
-  return type + ':' + registry;
+Charts.prototype.overlay = function overlay(base, type, ids) {
+  var series = []
+    , chart;
+
+  ids.forEach(function each(id, i) {
+    var source = this.stack[this.name(type, id)];
+    if (source) series.push({ name: id, index: i % this.colors, data: source.data });
+  }, this);
+
+  chart = this.add(base, type, 'compare', [], '', this.copy(type, {
+    series: series
+  }));
+
+  series.forEach(function each(serie) {
+    this.mirror(this.name(type, serie.name), chart);
+  }, this);
 };
 
 /**
- * Append data to the chart identified by probe.
+ * Show a chart per registry side by side, the title and unit are shown once.
  *
- * @param {Object} probe Specifications for the chart and data.
+ * @param {Element} base Compare group.
+ * @param {String} type Data type, per example publish.
+ * @param {Array} ids Registry IDs.
  * @api private
  */
-Charts.prototype.append = function append(probe) {
-  var name = this.name(probe.data.name, probe.data.registry);
-  this.stack[name].update(probe);
+Charts.prototype.columns = function columns(base, type, ids) {
+  var container = this.place(base, this.name(type, 'compare'))
+    , options = this.size(this.copy(type))
+    , offset = options.width * (1 - options.ratio)
+    , width = Math.floor(options.width * options.ratio / ids.length)
+    , gap = Math.min(30, Math.round(width / 4))
+    , stats = container.append('g').attr('class', 'stats').attr('transform', 'translate(0,10)');
+
+  stats.append('text').attr({
+    class: 'title',
+    transform: 'translate(120,0)',
+    'text-anchor': 'end'
+  }).text(options.title);
+
+  stats.append('text').attr({
+    class: 'unit',
+    transform: 'translate(120,60)',
+    'text-anchor': 'end'
+  }).text(options.unit);
+
+  ids.forEach(function each(id, i) {
+    var name = this.name(type, id)
+      , source = this.stack[name]
+      , column;
+
+    if (!source) return;
+
+    column = container.append('g').attr('transform', 'translate('+ (offset + i * width) +',0)');
+    column.append('rect').attr({
+      class: 'swatch series-' + i % this.colors,
+      width: width - gap,
+      height: 3,
+      y: -6
+    });
+
+    this.mirror(name, this.create(type, 'compare-' + type + '-' + id, column, source.data, null, this.copy(type, {
+      stats: false,
+      width: width - gap,
+      height: options.height,
+      ratio: 1,
+      animation: options.animation
+    })).annotate(this.notes(type, id)));
+  }, this);
 };
 
 /**
- * Create a new chart instance.
+ * Add a color legend of the compared registries below the charts.
  *
- * @constructor
- * @param {String} name Unique identifier.
- * @param {Element} SVG element that holds the chart's elements
- * @param {Array} data Collection of data points.
- * @param {Object} latest Most recent measurement for the chart, displayed left.
- * @param {Object} options
- * @api public
+ * @param {Element} base Compare group.
+ * @param {Array} ids Registry IDs.
+ * @api private
  */
-function Chart(name, container, data, latest, options) {
-  var chart = this
-    , i;
+Charts.prototype.legend = function legend(base, ids) {
+  var margin = this.options.margin
+    , options = this.size()
+    , colors = this.colors
+    , count = base.selectAll('.type')[0].length
+    , step = Math.floor(options.width / ids.length)
+    , entries;
+
+  entries = base.append('g').attr({
+    class: 'legend',
+    transform: 'translate('+ margin.left +','+ (count * (options.height + margin.bottom * 2) - margin.bottom) +')'
+  }).selectAll('.entry')
+    .data(ids)
+    .enter()
+    .append('g')
+    .attr('class', 'entry')
+    .attr('transform', function (d, i) {
+      return 'translate('+ i * step +',0)';
+    });
+
+  entries.append('rect').attr({
+    class: function (d, i) {
+      return 'swatch series-' + i % colors;
+    },
+    width: 9,
+    height: 9,
+    y: -9
+  });
+
+  entries.append('text').attr('x', 14).text(this.display.bind(this));
+};
+
+/**
+ * Get the human readable name of the registry.
+ *
+ * @param {String} id Registry ID.
+ * @return {String} name
+ * @api private
+ */
+Charts.prototype.display = function display(id) {
+  var name = id;
+
+  this.data.locations.forEach(function each(location) {
+    location.registries.forEach(function each(registry) {
+      if (registry.name === id) name = registry.display || registry.name;
+    });
+  });
+
+  return name;
+};
+
+/**
+ * Register a chart that should receive the updates of another chart.
+ *
+ * @param {String} name Unique identifier of the source chart.
+ * @param {Chart} chart
+ * @api private
+ */
+Charts.prototype.mirror = function mirror(name, chart) {
+  (this.mirrors[name] = this.mirrors[name] || []).push(chart);
+};
+
+/**
+ * Copy the options of the data type and extend them.
+ *
+ * @param {String} type Data type, per example ping.
+ * @param {Object} extend Optional properties to add.
+ * @return {Object} options
+ * @api private
+ */
+Charts.prototype.copy = function copy(type, extend) {
+  var options = JSON.parse(JSON.stringify(this.options[type] || {}));
+
+  Object.keys(extend || {}).forEach(function each(key) {
+    options[key] = extend[key];
+  });
+
+  return options;
+};
+
+/**
+ * Add a group for the next chart and translate it below the previous charts.
+ *
+ * @param {Element} base Registry group.
+ * @param {String} name Unique identifier.
+ * @return {Element} chart group
+ * @api private
+ */
+Charts.prototype.place = function place(base, name) {
+  var container = base.append('g').attr({ class: 'type ' + name, 'data-type': name.split(':')[0] })
+    , elements = base.selectAll('.type')[0]
+    , margin = this.options.margin
+    , height = Math.round(this.options.height / 5)
+    , vertical = (elements.length - 1) * (height + margin.bottom * 2);
+
+  return container.attr('transform', 'translate('+ [ margin.left, vertical ].join() +')');
+};
+
+/**
+ * Add the options that are forced from the charts SVG container.
+ *
+ * @param {Object} options Chart options.
+ * @return {Object} options
+ * @api private
+ */
+Charts.prototype.size = function size(options) {
+  var margin = this.options.margin;
+
+  options = options || {};
+  options.height = Math.round(this.options.height / 5);
+  options.width = this.options.width - margin.left - margin.right;
+  options.ratio = this.options.ratio;
+  options.animation = this.options.animation;
+  options.scope = this.scope;
+
+  return options;
+};
+
+/**
+ * Add a new chart to the collection. The dimensions, placement and some options
+ * will be preconfigured for a nice visual layout.
+ *
+ * @param {Element} group
+ * @param {String} type Data type, per example ping.
+ * @param {String} registry Name of the registry.
+ * @param {Array} data Collection of data object.
+ * @param {Object} latest Most recent measurement for the chart, displayed left.
+ * @param {Object} options
+ * @return {Chart} created chart
+ * @api public
+ */
+Charts.prototype.add = function add(base, type, registry, data, latest, options) {
+  var name = this.name(type, registry)
+    , container = this.place(base, name)
+    , charts = this
+    , chart;
+
+  //
+  // Initialize the chart and add it to the stack for reference.
+  //
+  chart = this.stack[name] = this.create(type, name, container, data, latest, this.size(options));
+  if (registry === 'compare') return chart;
+
+  //
+  // Announce updated values of visible registries and provide the data as
+  // table for screen readers.
+  //
+  chart.events.on('current', function current(value) {
+    if (charts.container.select('.registry.show.' + registry).empty()) return;
+
+    charts.dispatch.announce([
+      charts.display(registry) + ' ' + chart.options.title.toLowerCase() + ':',
+      'number' === typeof value ? Math.round(value) : value,
+      chart.options.unit
+    ].join(' '));
+  });
+
+  chart.tabulate(this.tables.append('table').attr({
+    'data-registry': registry,
+    'aria-hidden': true
+  }));
+
+  chart.table.select('caption').text(chart.options.title + ', ' + this.display(registry));
+  return chart;
+};
+
+/**
+ * Create a chart of the data type, zooming the chart zooms all charts of the
+ * same type. The current time range of the type is applied to the chart.
+ *
+ * @param {String} type Data type, per example ping.
+ * @param {String} name Unique identifier.
+ * @param {Element} container SVG element that holds the chart's elements.
+ * @param {Array} data Collection of data points.
+ * @param {Object} latest Most recent measurement.
+ * @param {Object} options
+ * @return {Chart} created chart
+ * @api private
+ */
+Charts.prototype.create = function create(type, name, container, data, latest, options) {
+  var zoom = this.zooms[type]
+    , charts = this
+    , chart;
+
+  options.type = type;
+  options.shades = this.shades;
+  chart = new Chart(name, container, data, latest, options);
+  chart.events.on('zoom', function zoom(window, span) {
+    charts.zoom(type, window, span);
+  }).on('zoomend', function zoomend() {
+    charts.fetch(type);
+  });
+
+  if (zoom) chart.zoom(zoom.window, zoom.span);
+  return chart;
+};
+
+/**
+ * Call the function for every chart, including the charts in compare mode.
+ *
+ * @param {Function} fn Receives the chart.
+ * @api private
+ */
+Charts.prototype.each = function each(fn) {
+  var charts = [];
+
+  Object.keys(this.stack).forEach(function each(name) {
+    charts.push(this.stack[name]);
+  }, this);
+
+  Object.keys(this.mirrors).forEach(function each(name) {
+    this.mirrors[name].forEach(function each(chart) {
+      if (!~charts.indexOf(chart)) charts.push(chart);
+    });
+  }, this);
+
+  charts.forEach(fn, this);
+};
+
+/**
+ * Zoom all charts of the data type, see Chart.zoom.
+ *
+ * @param {String} type Data type, per example ping.
+ * @param {Array} window Optional fixed time range.
+ * @param {Number} span Optional size of the live time range.
+ * @return {Charts} fluent interface
+ * @api public
+ */
+Charts.prototype.zoom = function zoom(type, window, span) {
+  this.zooms[type] = { window: window, span: span };
+
+  this.each(function each(chart) {
+    if (chart.type === type) chart.zoom(window, span);
+  });
+
+  this.dispatch.zoom(type, window, span);
+  return this;
+};
+
+/**
+ * Show a live time range of the provided size on all charts.
+ *
+ * @param {Number} span Size of the time range in milliseconds.
+ * @return {Charts} fluent interface
+ * @api public
+ */
+Charts.prototype.range = function range(span) {
+  Object.keys(this.data.recent).forEach(function each(type) {
+    this.zoom(type, null, span).fetch(type);
+  }, this);
+
+  return this;
+};
+
+/**
+ * Request data of the data type that is older than the loaded data, but within
+ * the current time range. A time range is requested again only if the loaded
+ * data changed, e.g. older data was removed as it fell out of the time range.
+ *
+ * @param {String} type Data type, per example ping.
+ * @return {Charts} fluent interface
+ * @api private
+ */
+Charts.prototype.fetch = function fetch(type) {
+  var from = Infinity
+    , earliest = Infinity
+    , fetched;
+
+  this.each(function each(chart) {
+    if (chart.type !== type || chart.series) return;
+
+    from = Math.min(from, chart.domain()[0]);
+    if (chart.data.length) earliest = Math.min(earliest, +chart.data[0].t);
+  });
+
+  fetched = this.fetched[type];
+  if (!isFinite(from) || from >= earliest) return this;
+  if (fetched && from >= fetched.from && earliest === fetched.earliest) return this;
+
+  this.fetched[type] = { from: from, earliest: earliest };
+  this.dispatch.fetch({
+    type: type,
+    from: from,
+    to: Math.min(earliest, Date.now())
+  });
+
+  return this;
+};
+
+/**
+ * Request the data that was missed while the connection was lost, from the
+ * last data point of the charts of each data type.
+ *
+ * @return {Charts} fluent interface
+ * @api public
+ */
+Charts.prototype.backfill = function backfill() {
+  var last = {};
+
+  Object.keys(this.stack).forEach(function each(name) {
+    var chart = this.stack[name]
+      , t = chart.data.length ? chart.data[chart.data.length - 1].t : chart.domain()[0];
+
+    if (!chart.series) last[chart.type] = Math.min(last[chart.type] || Infinity, t);
+  }, this);
+
+  Object.keys(last).forEach(function each(type) {
+    this.dispatch.fetch({
+      type: type,
+      from: last[type],
+      to: Date.now()
+    });
+  }, this);
+
+  return this;
+};
+
+/**
+ * Merge fetched data in the charts.
+ *
+ * @param {Object} data Data as type.registry.{ latest, points }.
+ * @return {Charts} fluent interface
+ * @api public
+ */
+Charts.prototype.load = function load(data) {
+  Object.keys(data || {}).forEach(function each(type) {
+    Object.keys(data[type]).forEach(function each(registry) {
+      var name = this.name(type, registry)
+        , points = data[type][registry].points || []
+        , latest = data[type][registry].latest;
+
+      if (!(name in this.stack)) return;
+
+      this.stack[name].merge(points, latest);
+      (this.mirrors[name] || []).forEach(function each(chart) {
+        chart.merge(points, latest);
+      });
+    }, this);
+  }, this);
+
+  return this;
+};
+
+/**
+ * Get the annotations for the chart of the data type and registry.
+ *
+ * @param {String} type Data type, per example ping.
+ * @param {String} registry Name of the registry, per example Nodejitsu.
+ * @return {Array} annotations
+ * @api public
+ */
+Charts.prototype.notes = function notes(type, registry) {
+  return this.annotations.filter(function filter(annotation) {
+    return (annotation.registry === '*' || annotation.registry === registry)
+      && (!annotation.type || annotation.type === type);
+  });
+};
+
+/**
+ * Create unique identifier for a chart based on data type and registry name.
+ *
+ * @param {String} type Data type, per example ping.
+ * @param {String} registry Name of the registry, per example Nodejitsu.
+ * @return {String} unique identifier
+ * @api public
+ */
+Charts.prototype.name = function name(type, registry) {
+  return type + ':' + registry;
+};
+
+/**
+ * Append data to the chart identified by probe.
+ *
+ * @param {Object} probe Specifications for the chart and data.
+ * @api private
+ */
+Charts.prototype.append = function append(probe) {
+  var name, chart;
+
+  if (!this.valid(probe)) {
+    if (window.console) console.warn('[registry-status-pagelet] Dropped malformed probe result', probe);
+    return;
+  }
+
+  //
+  // Ignore data of registries unknown to the catalog, the first result of a
+  // registry or data type creates its chart.
+  //
+  if (!(probe.data.registry in this.groups)) return;
+
+  name = this.name(probe.data.name, probe.data.registry);
+  chart = this.stack[name] || this.lazy(probe.data.name, probe.data.registry);
+
+  if (chart) chart.update(probe);
+
+  //
+  // Update the charts that compare this registry.
+  //
+  (this.mirrors[name] || []).forEach(function each(chart) {
+    chart.update(probe);
+  });
+
+  //
+  // Notify listeners of the updated health of the registry.
+  //
+  if (probe.health) this.dispatch.health(probe.data.registry, probe.health);
+};
+
+/**
+ * Check the structure of a probe result, see the data event of feed.js.
+ *
+ * @param {Object} probe Probe result.
+ * @return {Boolean} valid
+ * @api private
+ */
+Charts.prototype.valid = function valid(probe) {
+  var data = probe && probe.data;
+
+  if (!data || 'string' !== typeof data.name || 'string' !== typeof data.registry) return false;
+  if (!data.results || 'object' !== typeof data.results) return false;
+  if (probe.health && 'object' !== typeof probe.health) return false;
+
+  return [].concat(data.results).every(function every(point) {
+    return !!point
+      && !!point.values
+      && 'object' === typeof point.values
+      && !isNaN(+new Date(point.t));
+  });
+};
+
+/**
+ * Create the chart of a registry or data type that reports for the first time,
+ * the charts grow to fit a new data type. Data types without chart options
+ * have no chart.
+ *
+ * @param {String} type Data type, per example ping.
+ * @param {String} registry Name of the registry.
+ * @return {Chart} created chart or undefined.
+ * @api private
+ */
+Charts.prototype.lazy = function lazy(type, registry) {
+  var group = this.groups[registry]
+    , chart;
+
+  if (!this.charted(type)) return;
+
+  if (!(type in this.data.recent)) this.data.recent[type] = {};
+  this.data.current[type] = this.data.current[type] || {};
+  group.select('.placeholder').remove();
+
+  chart = this.add(group, type, registry, [], '', this.options[type]).annotate(this.notes(type, registry));
+  chart.table.attr('aria-hidden', !group.classed('show'));
+  this.show(this.visible);
+
+  return chart;
+};
+
+/**
+ * Create a new chart instance.
+ *
+ * @constructor
+ * @param {String} name Unique identifier.
+ * @param {Element} SVG element that holds the chart's elements
+ * @param {Array} data Collection of data points.
+ * @param {Object} latest Most recent measurement for the chart, displayed left.
+ * @param {Object} options
+ * @api public
+ */
+function Chart(name, container, data, latest, options) {
+  var chart = this;
 
   this.container = container;
   this.options = options = options || {};
   this.latest = latest;
+  this.series = options.series || null;  // Data of multiple registries, e.g. compare mode.
   this.data = [];
   this.name = name;
 
   this.step = options.step || 6E4;      // Step size in milliseconds, e.g. 1 minute.
   this.n = options.n || 120;            // Steps, e.g. 2 hours.
   this.key = options.key || 'mean';     // Data key used for displaying data.
+  this.type = options.type;             // Data type, e.g. ping.
+  this.window = null;                   // Fixed time range after zooming or panning.
+  this.span = null;                     // Size of the live time range in milliseconds.
+  this.events = d3.dispatch('zoom', 'zoomend', 'current');
+
+  //
+  // Element of the pagelet, ids and lookups are scoped to it as multiple
+  // pagelets can be on the same page.
+  //
+  this.scope = options.scope || 'status';
+  this.root = d3.select('[data-status="' + this.scope + '"]');
+  this.clip = this.scope + '-' + name;
 
   //
   // Reference to the tooltip, when the tooltip itself is clicked hide it.
   //
-  this.tip = d3.select('.tooltip').on('click', this.tooltip.bind(this, '',  true));
+  this.tip = this.root.select('.tooltip').on('click', this.tooltip.bind(this, '',  true));
 
   //
   // Get the max value for the current domain.
@@ -360,15 +1346,14 @@ function Chart(name, container, data, latest, options) {
   this.max = function max(d) { return d.values[chart.key]; };
 
   //
-  // Select the end of the data range equal to the number of steps.
+  // Keep the data within the time range of the chart, sorted by time.
   //
-  i = this.n < data.length ? this.n : data.length + 1;
-  while (--i) { this.data.push(data[data.length - i]); }
+  this.insert(data).trim();
 
   //
-  // Construct all parts of the chart.
+  // Construct all parts of the chart, charts shown side by side share statistics.
   //
-  this.statistics();
+  if (options.stats !== false) this.statistics();
   this.visuals();
 
   //
@@ -412,7 +1397,7 @@ Chart.prototype.statistics = function statistics() {
  * @api private
  */
 Chart.prototype.visuals = function visuals() {
-  var visual = this.options.visual in this ? this.options.visual : 'line'
+  var visual = Chart.find(this.options.visual)
     , options = {
         width: Math.round(this.options.width * this.options.ratio),
         height: this.options.height,
@@ -431,7 +1416,7 @@ Chart.prototype.visuals = function visuals() {
   //
   // Define rectangular clipping area that will hide the path.
   //
-  this.chart.append('defs').append('clipPath').attr('id', this.name).append('rect')
+  this.chart.append('defs').append('clipPath').attr('id', this.clip).append('rect')
     .attr('width', options.width - 1)
     .attr('height', options.height - 1);
 
@@ -450,30 +1435,154 @@ Chart.prototype.visuals = function visuals() {
   //
   // Add horizontal grid lines.
   //
-  this.serie = this[visual](this.chart, options);
+  this.serie = visual.call(this, this.chart, options);
+  this.dimensions = options;
+  this.interact(options);
 };
 
+//
+// Visuals that can be used by the charts by name, see Chart.visual.
+//
+Chart.visuals = {};
+
 /**
- * Append text to the chart, the element will be updated if the class is
- * not unique within the current container. Although IDs seem more
- * appropriate in this case CSS can easily be applied to all classes.
+ * Register a visual, the name can be used as `visual` in the options of a
+ * chart. The factory is called with the chart as context and receives the
+ * chart container and the width, height, x and y options. It should draw the
+ * data of the chart and return an object with the container and an animate
+ * function that redraws the data, an inspect function that returns the HTML
+ * of the tooltip at a time and vertical position is optional. Visuals that
+ * draw the series of the chart are overlaid when registries are compared.
  *
- * @api private
+ * @param {String} name Name of the visual, e.g. area.
+ * @param {Function} factory Draws the visual.
+ * @param {Boolean} series Visual draws the series of multiple registries.
+ * @return {Function} Chart
+ * @api public
  */
-Chart.prototype.text = function text(base, value, className, translate, left) {
-  var sel = base.select('.' + className);
+Chart.visual = function visual(name, factory, series) {
+  if ('string' !== typeof name || !/^[\w-]+$/.test(name)) {
+    throw new Error('[registry-status-pagelet] visual name should be a string of letters, digits, - or _');
+  }
 
-  //
-  // Create text element if it does not exist and translate if provided.
-  //
-  if (sel.empty()) sel = base.append('text').attr('class', className);
-  if (translate) sel.attr('transform', 'translate('+ translate.join() +')');
-  if (!left) sel.attr('text-anchor', 'end');
+  if ('function' !== typeof factory) {
+    throw new Error('[registry-status-pagelet] visual ' + name + ' should be a function');
+  }
 
-  //
-  // Update the content of the element.
-  //
-  return sel.text(value);
+  factory.series = !!series;
+  Chart.visuals[name] = factory;
+
+  return Chart;
+};
+
+/**
+ * Get the registered visual by name, charts of unknown visuals are drawn as
+ * line. Only registered visuals are used, not properties of Object.
+ *
+ * @param {String} name Name of the visual, e.g. area.
+ * @return {Function} factory of the visual
+ * @api private
+ */
+Chart.find = function find(name) {
+  return Object.prototype.hasOwnProperty.call(Chart.visuals, name)
+    ? Chart.visuals[name]
+    : Chart.visuals.line;
+};
+
+/**
+ * Zoom by brushing the chart and pan by dragging the time axis, double click
+ * the chart to reset the time range. Charts emit the new time range as zoom
+ * event, zoomend is emitted once the interaction is done.
+ *
+ * @param {Object} options
+ * @api private
+ */
+Chart.prototype.interact = function interact(options) {
+  var brush = d3.svg.brush().x(this.x.scale)
+    , drag = d3.behavior.drag()
+    , chart = this
+    , area;
+
+  brush.on('brushend', function brushend() {
+    var extent = brush.extent();
+
+    if (brush.empty()) return;
+    area.call(brush.clear());
+
+    chart.events.zoom([ +extent[0], +extent[1] ]);
+    chart.events.zoomend();
+  });
+
+  area = this.chart.append('g').attr('class', 'brush').call(brush).on('dblclick', function () {
+    chart.events.zoom(null);
+    chart.events.zoomend();
+  });
+
+  area.selectAll('rect').attr('height', options.height);
+
+  //
+  // Inspect the data under the mouse or finger.
+  //
+  area
+    .on('mousemove.inspect', inspect)
+    .on('touchstart.inspect', inspect)
+    .on('touchmove.inspect', inspect)
+    .on('mouseout.inspect', function mouseout() {
+      chart.hover(null);
+    });
+
+  /**
+   * Show the data at the position of the pointer.
+   *
+   * @api private
+   */
+  function inspect() {
+    var xy = chart.pointer(chart.chart.node());
+    chart.hover(chart.inspect(chart.x.scale.invert(xy[0]), xy[1]));
+  }
+
+  //
+  // Dragging to the right moves the time range back in time, but not beyond
+  // the end of the live time range.
+  //
+  drag.on('drag', function dragged() {
+    var domain = chart.domain()
+      , shift = chart.x.scale.invert(0) - chart.x.scale.invert(d3.event.dx);
+
+    shift = Math.min(shift, chart.end() - domain[1]);
+    chart.events.zoom([ domain[0] + shift, domain[1] + shift ]);
+  }).on('dragend', function dragend() {
+    chart.events.zoomend();
+  });
+
+  this.x.container.call(drag).append('rect').attr({
+    class: 'pan',
+    width: options.width,
+    height: 20
+  });
+};
+
+/**
+ * Append text to the chart, the element will be updated if the class is
+ * not unique within the current container. Although IDs seem more
+ * appropriate in this case CSS can easily be applied to all classes.
+ *
+ * @api private
+ */
+Chart.prototype.text = function text(base, value, className, translate, left) {
+  var sel = base.select('.' + className);
+
+  //
+  // Create text element if it does not exist and translate if provided.
+  //
+  if (sel.empty()) sel = base.append('text').attr('class', className);
+  if (translate) sel.attr('transform', 'translate('+ translate.join() +')');
+  if (!left) sel.attr('text-anchor', 'end');
+
+  //
+  // Update the content of the element.
+  //
+  return sel.text(value);
 };
 
 /**
@@ -485,6 +1594,8 @@ Chart.prototype.text = function text(base, value, className, translate, left) {
  * @api public
  */
 Chart.prototype.current = function current(base, value, duration) {
+  this.events.current(value);
+
   //
   // Current or new value is not a number.
   //
@@ -522,7 +1633,7 @@ Chart.prototype.time = function time(base, options) {
   //
   // Add specified format to the axis.
   //
-  if ('format' in options.x) axis.tickFormat(d3.time.format(options.x.format));
+  if ('format' in options.x) axis.tickFormat(this.format = d3.time.format(options.x.format));
 
   return {
     scale: scale,
@@ -554,20 +1665,21 @@ Chart.prototype.grid = function grid(base, options, vertical) {
   }
 
   //
-  // Add the lines.
+  // Add or move the lines to the current ticks.
   //
-  base
+  var lines = base
     .selectAll('.grid.' + axis)
-    .data(chart[axis].scale.ticks(options[axis].ticks))
-    .enter()
-    .append('line')
-    .attr({
-      class: 'grid ' + axis,
-      x1: vertical ? line : 0,
-      x2: vertical ? line : options.width,
-      y1: vertical ? 0 : line,
-      y2: vertical ? options.height: line
-    });
+    .data(chart[axis].scale.ticks(options[axis].ticks));
+
+  lines.exit().remove();
+  lines.enter().insert('line', '.brush');
+  lines.attr({
+    class: 'grid ' + axis,
+    x1: vertical ? line : 0,
+    x2: vertical ? line : options.width,
+    y1: vertical ? 0 : line,
+    y2: vertical ? options.height: line
+  });
 };
 
 /**
@@ -606,15 +1718,10 @@ Chart.prototype.units = function units(base, options) {
  * @api private
  */
 Chart.prototype.scale = function scale(type, dimension, range, options) {
-  var domain = options[dimension].domain
+  var domain = dimension === 'x' ? this.domain() : options.y.domain
     , construct;
 
-  if (!domain) {
-    switch (dimension) {
-      case 'x': domain = this.range(Date.now(), this.n, this.step, true); break;
-      case 'y': domain = [0, d3.max(this.data, this.max)]; break;
-    }
-  }
+  if (!domain) domain = [0, this.top()];
 
   switch (type) {
     case 'ordinal':
@@ -633,6 +1740,207 @@ Chart.prototype.scale = function scale(type, dimension, range, options) {
   return construct.domain(domain);
 };
 
+/**
+ * Get the max value of the data in the time range, or of all series if provided.
+ *
+ * @return {Number} max
+ * @api private
+ */
+Chart.prototype.top = function top() {
+  var domain = this.domain()
+    , chart = this;
+
+  function visible(data) {
+    return d3.max(data, function max(d) {
+      return +d.t >= domain[0] && +d.t <= domain[1] ? chart.max(d) : undefined;
+    });
+  }
+
+  if (!this.series) return visible(this.data);
+
+  return d3.max(this.series, function max(serie) {
+    return visible(serie.data);
+  });
+};
+
+/**
+ * End of the live time range, the end of the provided domain if that is later
+ * than now, per example the end of the current day.
+ *
+ * @return {Number} end
+ * @api private
+ */
+Chart.prototype.end = function end() {
+  var fixed = this.options.x.domain;
+
+  return fixed ? Math.max(+fixed[fixed.length - 1], Date.now()) : Date.now();
+};
+
+/**
+ * Get the current time range, this is the fixed time range if zoomed or the
+ * live time range otherwise.
+ *
+ * @return {Array} domain
+ * @api public
+ */
+Chart.prototype.domain = function domain() {
+  var fixed = this.options.x.domain
+    , end = this.end()
+    , span;
+
+  if (this.window) return this.window;
+
+  span = fixed ? +fixed[fixed.length - 1] - fixed[0] : this.n * this.step;
+  if (this.span) span = Math.max(this.span, 4 * this.step);
+
+  return [ end - span, end ];
+};
+
+/**
+ * Zoom to a fixed time range or show a live time range of the provided size.
+ * The default time range is shown if neither is provided.
+ *
+ * @param {Array} window Optional fixed time range.
+ * @param {Number} span Optional size of the live time range.
+ * @return {Chart} fluent interface
+ * @api public
+ */
+Chart.prototype.zoom = function zoom(window, span) {
+  this.window = window || null;
+  this.span = span || null;
+  this.animate(0);
+
+  return this;
+};
+
+/**
+ * Merge fetched data points in the data. Series are shared and merged by their
+ * own charts.
+ *
+ * @param {Array} points Data points.
+ * @param {Mixed} latest Optional most recent measurement.
+ * @return {Chart} fluent interface
+ * @api public
+ */
+Chart.prototype.merge = function merge(points, latest) {
+  if (!this.series) this.insert(points);
+
+  if (latest !== undefined && latest !== null && latest !== this.latest) {
+    this.latest = latest;
+    if (this.last && !this.series) this.current(this.last, latest, 0);
+  }
+
+  this.animate(0);
+  return this;
+};
+
+/**
+ * Insert data points sorted by time, a point replaces the known point of the
+ * same time and type, so duplicates and out of order points are harmless.
+ *
+ * @param {Array} points Data points.
+ * @return {Chart} fluent interface
+ * @api private
+ */
+Chart.prototype.insert = function insert(points) {
+  points.forEach(function each(point) {
+    var i;
+
+    point.t = +new Date(point.t);
+    i = Chart.bisect(this.data, point.t);
+
+    while (i < this.data.length && this.data[i].t === point.t) {
+      if (this.id(this.data[i]) === this.id(point)) return this.data.splice(i, 1, point);
+      i++;
+    }
+
+    this.data.splice(i, 0, point);
+  }, this);
+
+  return this;
+};
+
+/**
+ * Remove the data points before the last n steps or the current time range,
+ * whichever is longer.
+ *
+ * @return {Chart} fluent interface
+ * @api private
+ */
+Chart.prototype.trim = function trim() {
+  var start = Math.min(this.end() - this.n * this.step, this.domain()[0])
+    , i = Chart.bisect(this.data, start);
+
+  if (i) this.data.splice(0, i);
+  return this;
+};
+
+//
+// Find the index of the first data point at or after the time.
+//
+Chart.bisect = d3.bisector(function t(d) { return d.t; }).left;
+
+//
+// Steps between data points after which the line is broken, a missed probe
+// is not drawn as continuous data.
+//
+Chart.gap = 1.5;
+
+/**
+ * Add a break in the data where points are more than Chart.gap steps apart.
+ *
+ * @param {Array} data Data points sorted by time.
+ * @return {Array} data points and null at the breaks.
+ * @api private
+ */
+Chart.prototype.gaps = function gaps(data) {
+  var max = this.step * Chart.gap;
+
+  return data.reduce(function reduce(memo, d, i) {
+    if (i && d.t - data[i - 1].t > max) memo.push(null);
+
+    memo.push(d);
+    return memo;
+  }, []);
+};
+
+/**
+ * Rescale the axes and grid lines to the current time range and data.
+ *
+ * @param {Number} duration Animation duration.
+ * @api private
+ */
+Chart.prototype.rescale = function rescale(duration) {
+  var zoomed = this.window || this.span;
+
+  //
+  // Use the configured format for the default time range only, the d3 format
+  // adjusts to the size of the time range.
+  //
+  this.x.scale.domain(this.domain());
+  this.x.axis.tickFormat(zoomed ? null : this.format);
+  this.x.container
+    .transition()
+    .duration(duration)
+    .ease('linear')
+    .call(this.x.axis);
+
+  //
+  // Update the unit axis, unless a fixed domain is provided.
+  //
+  if (!this.options.y.domain) {
+    this.y.scale.domain([0, this.top()]);
+    this.y.container
+      .transition()
+      .duration(duration)
+      .ease('linear')
+      .call(this.y.axis);
+  }
+
+  if (this.options.y.grid) this.grid(this.chart, this.dimensions);
+  if (this.options.x.grid) this.grid(this.chart, this.dimensions, true);
+};
+
 /**
  * Create backwards domain based on end and interval repeated n times.
  *
@@ -655,7 +1963,8 @@ Chart.prototype.range = function range(end, n, interval, boundary) {
 };
 
 /**
- * Add line with basic interpolation to the chart.
+ * Add line with basic interpolation to the chart, a line per serie is added if
+ * the chart has multiple series.
  *
  * @param {Element} base Container for the line.
  * @param {Object} options
@@ -663,10 +1972,23 @@ Chart.prototype.range = function range(end, n, interval, boundary) {
  * @api public
  */
 Chart.prototype.line = function line(base, options) {
-  var container = base.append('g').attr('clip-path', 'url(#'+ this.name +')')
-    , visual = container.append('path').data([ this.data ]).attr('class', 'line')
+  var container = base.append('g').attr('clip-path', 'url(#'+ this.clip +')')
     , serie = d3.svg.line().interpolate('basis')
-    , chart = this;
+    , chart = this
+    , visual;
+
+  visual = container
+    .selectAll('.line')
+    .data(this.series ? this.series.map(function (d) { return d.data; }) : [ this.data ])
+    .enter()
+    .append('path')
+    .attr('class', function (d, i) {
+      return 'line' + (chart.series ? ' series-' + chart.series[i].index : '');
+    });
+
+  serie.defined(function defined(d) {
+    return !!d;
+  });
 
   serie.x(function serieX(d, i) {
     return chart.x.scale(d.t);
@@ -679,38 +2001,31 @@ Chart.prototype.line = function line(base, options) {
   return {
     stack: serie,
     container: visual,
-    animate: function animate(duration) {
-      var domain = chart.range(Date.now(), chart.n, chart.step, true);
-
-      //
-      // Animate the time axis.
-      //
-      chart.x.scale.domain(domain);
-      chart.x.container
-        .transition()
-        .duration(duration)
-        .ease('linear')
-        .call(chart.x.axis);
-
-      //
-      // Update the unit axis.
-      //
-      chart.y.scale.domain([0, d3.max(chart.data, chart.max)]);
-      chart.y.container
-        .transition()
-        .duration(duration)
-        .ease('linear')
-        .call(chart.y.axis);
-
-      //
-      // Draw the line and transition to the left.
-      //
-      chart.serie.container.attr('d', chart.serie.stack).attr('transform', null);
-      chart.serie.container
-        .transition()
-        .duration(duration)
-        .ease('linear')
-        .attr('transform', 'translate(' + chart.x.scale(domain[0]) +',0)');
+    animate: function animate() {
+      chart.serie.container.attr('d', function path(data) {
+        return chart.serie.stack(chart.gaps(data));
+      });
+    },
+    inspect: function inspect(time) {
+      var series = chart.series || [ { data: chart.data } ]
+        , unit = chart.options.unit
+        , points, content;
+
+      points = series.map(function map(serie) {
+        return chart.nearest(serie.data, time);
+      });
+
+      if (!points[0]) return null;
+
+      content = [ '<strong>' + chart.moment(points[0].t) + '</strong>' ].concat(points.map(function map(d, i) {
+        var value = d ? Math.round(d.values[chart.key]) + ' ' + unit : '&ndash;';
+
+        if (!chart.series) return value;
+        return '<span class="swatch series-' + series[i].index + '"></span>' + series[i].name + ': ' + value;
+      }));
+
+      chart.cross(points[0].t, points);
+      return content.join('<br>');
     }
   };
 };
@@ -724,44 +2039,63 @@ Chart.prototype.line = function line(base, options) {
  * @return {Object} reference to constructed parts of the axis.
  */
 Chart.prototype.bar = function bar(base, options) {
-  var container = base.append('g').attr('clip-path', 'url(#'+ this.name +')')
-    , width = Math.round(options.width / this.options.x.ticks) - 1
+  var container = base.append('g').attr('clip-path', 'url(#'+ this.clip +')')
     , chart = this;
 
   function height(point) {
     return options.height - chart.y.scale(point);
   }
 
-  //
-  // Add all the bars to the chart.
-  //
-  var serie = container
-    .selectAll('.stack')
-    .data(this.data)
-    .enter()
-    .append('rect')
-    .attr('width', width)
-    .attr('x', function (d) {
-      return Math.round(chart.x.scale(d.t));
-    })
-    .attr('y', function (d) {
-      return Math.round(chart.y.scale(d.values[chart.key]) - height(d.values.lower));
-    })
-    .attr('height', function (d) {
-      return Math.round(height(d.values[chart.key]));
-    })
-    .attr('class', function (d) {
-      return 'stack ' + d.values.type;
-    });
+  /**
+   * Add, move or remove the bars to match the data and time range.
+   *
+   * @return {Selection} bars
+   */
+  function draw() {
+    var serie = container.selectAll('.stack').data(chart.data, chart.id);
+
+    serie.exit().remove();
+    serie.enter().append('rect');
+
+    return serie
+      .attr('width', function (d) {
+        return Math.max(1, chart.width(d) - 1);
+      })
+      .attr('x', function (d) {
+        return Math.round(chart.x.scale(d.t));
+      })
+      .attr('y', function (d) {
+        return Math.round(chart.y.scale(d.values[chart.key]) - height(d.values.lower));
+      })
+      .attr('height', function (d) {
+        return Math.round(height(d.values[chart.key]));
+      })
+      .attr('class', function (d) {
+        return 'stack ' + d.values.type;
+      });
+  }
 
   return {
-    stack: serie,
-    container: container
+    stack: draw(),
+    container: container,
+    animate: function animate() {
+      chart.serie.stack = draw();
+    },
+    inspect: function inspect(time) {
+      var points = chart.within(time);
+
+      if (!points.length) return null;
+
+      return [ '<strong>' + chart.moment(points[0].t) + '</strong>' ].concat(points.map(function map(d) {
+        return d.values.type + ': ' + d.values.n + ' (' + d.values[chart.key] + ' ' + chart.options.unit + ')';
+      })).join('<br>');
+    }
   };
 };
 
 /**
- * Add heatmap to the chart.
+ * Add heatmap to the chart, a row per bucket of the replication lag. The color
+ * of a cell is the shade of the number of modules, see Chart.prototype.shades.
  *
  * @param {Element} base Container for the line.
  * @param {Object} options
@@ -769,91 +2103,579 @@ Chart.prototype.bar = function bar(base, options) {
  * @api public
  */
 Chart.prototype.heatmap = function heatmap(base, options) {
-  var container = base.append('g').attr('clip-path', 'url(#'+ this.name +')')
-    , width = Math.round(options.width / this.options.x.ticks)
-    , height = options.height / this.options.y.ticks
-    , chart = this;
+  var container = base.append('g').attr('clip-path', 'url(#'+ this.clip +')')
+    , height = this.y.scale.rangeBand()
+    , buckets = this.options.buckets || []
+    , chart = this
+    , cells = [];
 
   //
-  // Add rectangle per data point.
+  // Label the rows with the buckets, the description is shown on hover.
   //
-  var serie = container
-    .selectAll('.unit')
-    .data(this.data)
-    .enter()
-    .append('rect')
-    .attr('rx', 2)
-    .attr('ry', 2)
-    .attr('width', width)
-    .attr('height', height)
-    .attr('class', function (d) {
-      var value = Math.round(d.values.n / 10);
-      return 'heatmap hecta-' + (value < 10 ? value : 10);
-    })
-    .attr('x', function (d) {
-      return Math.round(chart.x.scale(d.t));
-    })
-    .attr('y', function (d) {
-      return Math.round(chart.y.scale(d.values.type));
-    });
+  this.y.container.call(this.y.axis.tickFormat(function format(name) {
+    return (chart.bucket(name) || { label: name }).label;
+  })).selectAll('.tick').each(function each(name) {
+    var bucket = chart.bucket(name);
+
+    if (bucket && bucket.description) d3.select(this).append('title').text(bucket.description);
+  });
+
+  /**
+   * Add, move or remove a rectangle per cell.
+   *
+   * @return {Selection} rectangles
+   */
+  function draw() {
+    var shade = chart.shades(cells = chart.cells())
+      , serie = container.selectAll('.heatmap').data(cells, chart.id);
+
+    serie.exit().remove();
+    serie.enter().append('rect').attr('rx', 2).attr('ry', 2);
+
+    if (chart.stats) chart.legend(shade);
+
+    return serie
+      .attr('width', chart.width.bind(chart))
+      .attr('height', height)
+      .attr('class', function (d) {
+        return 'heatmap hecta-' + shade(d.values.n);
+      })
+      .attr('x', function (d) {
+        return Math.round(chart.x.scale(d.t));
+      })
+      .attr('y', function (d) {
+        return Math.round(chart.y.scale(d.values.type));
+      });
+  }
 
   return {
-    stack: serie,
-    container: container
+    stack: draw(),
+    container: container,
+    animate: function animate() {
+      chart.serie.stack = draw();
+    },
+    inspect: function inspect(time, y) {
+      var point = cells.filter(function filter(d) {
+        var top = chart.y.scale(d.values.type);
+
+        return +d.t <= time && time < +d.t + chart.step && y >= top && y < top + height;
+      })[0], bucket;
+
+      if (!point) return null;
+      bucket = chart.bucket(point.values.type) || {};
+
+      return [
+        '<strong>' + chart.moment(point.t) + '</strong>',
+        'bucket: ' + (bucket.description || bucket.label || point.values.type),
+        'count: ' + point.values.n,
+        'lag: ' + point.values[chart.key] + ' ' + chart.options.unit
+      ].join('<br>');
+    }
   };
 };
 
 /**
- * Update the chart data and trigger animations on the chart.
+ * Get the bucket by name.
  *
- * @param {Object} stack metrics to append to the data.
- * @api public
+ * @param {String} name
+ * @return {Object} bucket or undefined if unknown.
+ * @api private
  */
-Chart.prototype.update = function update(stack) {
-  this.data.push(stack.data.results);
-
-  //
-  // Update the axes and last shown metric.
-  //
-  this.current(this.last, stack.latest, this.options.animation);
-  this.animate(this.options.animation);
-
-  //
-  // Pop oldest metric of the stack.
-  //
-  this.data.shift();
+Chart.prototype.bucket = function bucket(name) {
+  return (this.options.buckets || []).filter(function filter(bucket) {
+    return bucket.name === name;
+  })[0];
 };
 
 /**
- * Animate the whole chart for the provided duration.
+ * Combine the data points per step into a cell per bucket, counts of the
+ * intervals of the bucket are added up. Without buckets the data is used as is.
  *
+ * @return {Array} cells
  * @api private
  */
-Chart.prototype.animate = function animate(duration) {
-  if ('animate' in this.serie) this.serie.animate(duration);
+Chart.prototype.cells = function cells() {
+  var buckets = this.options.buckets
+    , chart = this
+    , index = {};
+
+  if (!buckets) return this.data;
+
+  return this.data.reduce(function reduce(memo, d) {
+    var bucket = buckets.filter(function filter(bucket) {
+          return ~bucket.types.indexOf(d.values.type);
+        })[0]
+      , id;
+
+    if (!bucket) return memo;
+
+    id = +d.t + ':' + bucket.name;
+    if (!(id in index)) memo.push(index[id] = { t: d.t, values: { type: bucket.name, n: 0 } });
+
+    index[id].values.n += d.values.n || 0;
+    index[id].values[chart.key] = Math.max(index[id].values[chart.key] || 0, d.values[chart.key] || 0);
+    return memo;
+  }, []);
 };
 
 /**
- * Register event listener for registry selection. This will dispatch an event
- * that will be listened to from the charts collection.
+ * Get the function that maps the number of modules to a shade. The type of the
+ * scale is configured in options.scale: linear or log between the counts of
+ * the domain, or quantile of the counts of the cells.
  *
- * @param {Object} registry Reference to self
- * @return {Function} listener.
- * @api public
+ * @param {Array} cells
+ * @return {Function} shade, extent returns the counts of a shade.
+ * @api private
  */
-Chart.prototype.tooltip = function tooltip(content, hide) {
-  var duration = this.options.animation / 2
-    , position = d3.mouse(d3.select('.svg')[0][0])
-    , names;
+Chart.prototype.shades = function shades(cells) {
+  var options = this.options.scale || {}
+    , domain = options.domain || [ 0, 100 ]
+    , count = this.options.shades
+    , top = count - 1
+    , scale, shade;
+
+  switch (options.type) {
+    case 'quantile':
+      scale = d3.scale.quantile().range(d3.range(count)).domain(cells.length ? cells.map(function map(d) {
+        return d.values.n;
+      }) : [ 0 ]);
+
+      shade = function quantile(n) { return scale(n); };
+      shade.extent = function extent(i) { return scale.invertExtent(i); };
+    break;
 
-  //
-  // Determine if the tooltip is currently visible.
-  //
-  hide = hide || this.tip[0][0].offsetParent;
+    case 'log':
+      scale = d3.scale.log().domain([ domain[0] + 1, domain[1] + 1 ]).range([ 0, top ]).clamp(true);
 
-  //
-  // Hide the tooltip to start fresh.
-  //
+      shade = function log(n) { return Math.round(scale(n + 1)); };
+      shade.extent = function extent(i) {
+        return [ scale.invert(i - .5) - 1, scale.invert(i + .5) - 1 ];
+      };
+    break;
+
+    default:
+      scale = d3.scale.linear().domain(domain).range([ 0, top ]).clamp(true);
+
+      shade = function linear(n) { return Math.round(scale(n)); };
+      shade.extent = function extent(i) {
+        return [ scale.invert(i - .5), scale.invert(i + .5) ];
+      };
+    break;
+  }
+
+  //
+  // Counts above the domain of a linear or log scale get the darkest shade.
+  //
+  shade.open = options.type !== 'quantile';
+  return shade;
+};
+
+/**
+ * Add or update the legend of the heatmap below the statistics, a swatch per
+ * shade with the lowest and highest number of modules.
+ *
+ * @param {Function} shade Result of Chart.prototype.shades.
+ * @api private
+ */
+Chart.prototype.legend = function legend(shade) {
+  var container = this.stats.select('.shades')
+    , count = this.options.shades
+    , top = count - 1
+    , unit = ' modules per ' + this.period()
+    , size = 10;
+
+  /**
+   * Describe the counts of the shade.
+   *
+   * @param {Number} i Shade.
+   * @return {String} range of counts
+   */
+  function range(i) {
+    var extent = shade.extent(i).map(Math.round);
+
+    if (shade.open && i === top) return extent[0] + '+' + unit;
+    return extent[0] + '–' + extent[1] + unit;
+  }
+
+  if (container.empty()) {
+    container = this.stats.append('g').attr({
+      class: 'legend shades',
+      transform: 'translate('+ (120 - count * size) +',68)'
+    });
+
+    container.selectAll('rect').data(d3.range(count)).enter().append('rect').attr({
+      class: function (i) { return 'heatmap hecta-' + i; },
+      x: function (i) { return i * size; },
+      width: size,
+      height: size
+    }).append('title');
+
+    container.append('text').attr({ class: 'lower', y: 20 });
+    container.append('text').attr({ class: 'upper', x: count * size, y: 20, 'text-anchor': 'end' });
+  }
+
+  container.selectAll('rect title').text(range);
+  container.select('.lower').text(Math.round(shade.extent(0)[0]));
+  container.select('.upper').text(Math.round(shade.extent(top)[1]) + (shade.open ? '+' : '') + ' modules');
+};
+
+/**
+ * Show a crosshair that snaps to the data points.
+ *
+ * @param {Number} t Time of the vertical line.
+ * @param {Array} points Data points, a marker is shown on each point.
+ * @api private
+ */
+Chart.prototype.cross = function cross(t, points) {
+  var chart = this
+    , x = Math.round(this.x.scale(t))
+    , markers;
+
+  if (!this.crosshair) {
+    this.crosshair = this.chart.append('g').attr('class', 'crosshair');
+    this.crosshair.append('line').attr({ y1: 0, y2: this.options.height });
+  }
+
+  this.crosshair.style('display', null).select('line').attr({ x1: x, x2: x });
+
+  markers = this.crosshair.selectAll('circle').data(points.filter(Boolean));
+  markers.exit().remove();
+  markers.enter().append('circle').attr('r', 3);
+  markers
+    .attr('cx', function (d) {
+      return Math.round(chart.x.scale(d.t));
+    })
+    .attr('cy', function (d) {
+      return Math.round(chart.y.scale(d.values[chart.key]));
+    });
+};
+
+/**
+ * Width of a single step of the data point in pixels.
+ *
+ * @param {Object} d Data point.
+ * @return {Number} width
+ * @api private
+ */
+Chart.prototype.width = function width(d) {
+  return Math.round(this.x.scale(+d.t + this.step) - this.x.scale(+d.t));
+};
+
+/**
+ * Unique key of a data point, multiple points of different types can share
+ * the same time.
+ *
+ * @param {Object} d Data point.
+ * @return {String} key
+ * @api private
+ */
+Chart.prototype.id = function id(d) {
+  return +d.t + ':' + d.values.type;
+};
+
+/**
+ * Update the chart data and trigger animations on the chart.
+ *
+ * @param {Object} stack metrics to append to the data.
+ * @api public
+ */
+Chart.prototype.update = function update(stack) {
+  //
+  // Insert the results by time and remove metrics that fell out of the time
+  // range, series are shared and updated by their own charts.
+  //
+  if (!this.series) this.insert([].concat(stack.data.results)).trim();
+  this.latest = stack.latest;
+
+  //
+  // Update the axes and last shown metric.
+  //
+  if (this.last && !this.series) this.current(this.last, stack.latest, this.options.animation);
+  this.animate(this.options.animation);
+};
+
+/**
+ * Animate the whole chart for the provided duration.
+ *
+ * @api private
+ */
+Chart.prototype.animate = function animate(duration) {
+  this.rescale(duration);
+  if ('animate' in this.serie) this.serie.animate(duration);
+  if (this.table) this.tabulate();
+  this.annotate();
+};
+
+/**
+ * Render the data within the time range as table, an alternative for the
+ * chart for screen readers.
+ *
+ * @param {Element} table Optional table element to use.
+ * @return {Chart} fluent interface
+ * @api public
+ */
+Chart.prototype.tabulate = function tabulate(table) {
+  var domain = this.domain()
+    , chart = this
+    , typed, counted, rows;
+
+  if (table) {
+    this.table = table;
+    table.append('caption');
+    table.append('thead').append('tr');
+    table.append('tbody');
+  }
+
+  rows = this.data.filter(function filter(d) {
+    return +d.t >= domain[0] && +d.t <= domain[1];
+  });
+
+  typed = rows.some(function some(d) { return 'type' in d.values; });
+  counted = rows.some(function some(d) { return 'n' in d.values; });
+
+  this.table.select('thead tr').selectAll('th')
+    .data([ 'Time', typed && 'Type', this.options.unit, counted && 'Count' ].filter(Boolean))
+    .call(function cells(th) {
+      th.exit().remove();
+      th.enter().append('th').attr('scope', 'col');
+      th.text(String);
+    });
+
+  rows = this.table.select('tbody').selectAll('tr').data(rows);
+  rows.exit().remove();
+  rows.enter().append('tr');
+  rows.selectAll('td').data(function columns(d) {
+    return [
+      chart.moment(d.t),
+      typed && d.values.type,
+      'number' === typeof d.values[chart.key] ? Math.round(d.values[chart.key]) : d.values[chart.key],
+      counted && d.values.n
+    ].filter(function filter(value, i) {
+      return [ true, typed, true, counted ][i];
+    });
+  }).call(function cells(td) {
+    td.exit().remove();
+    td.enter().append('td');
+    td.text(String);
+  });
+
+  return this;
+};
+
+/**
+ * Draw annotations as shaded bands over their time range, annotations without
+ * end are drawn as marker. Clicking an annotation shows it in the tooltip.
+ *
+ * @param {Array} list Optional annotations, replaces the current annotations.
+ * @return {Chart} fluent interface
+ * @api public
+ */
+Chart.prototype.annotate = function annotate(list) {
+  var chart = this
+    , scale = this.x.scale
+    , marks;
+
+  if (list) this.notes = list;
+  if (!this.notes || !this.notes.length) return this;
+
+  if (!this.marks) this.marks = this.chart.append('g').attr({
+    class: 'annotations',
+    'clip-path': 'url(#'+ this.clip +')'
+  });
+
+  marks = this.marks.selectAll('.annotation').data(this.notes, function key(d) {
+    return d.id;
+  });
+
+  marks.exit().remove();
+  marks.enter()
+    .append('rect')
+    .attr('class', function (d) {
+      return 'annotation ' + d.severity + (d.end === null ? ' marker' : '');
+    })
+    .on('click', function (d) {
+      chart.tooltip(chart.describe(d));
+    });
+
+  marks
+    .attr('y', 0)
+    .attr('height', this.options.height)
+    .attr('x', function (d) {
+      return Math.round(scale(d.start));
+    })
+    .attr('width', function (d) {
+      var end = d.end === null ? d.start : d.end;
+      return Math.max(2, Math.round(scale(end) - scale(d.start)));
+    });
+
+  return this;
+};
+
+/**
+ * Describe the annotation as HTML for the tooltip.
+ *
+ * @param {Object} annotation
+ * @return {String} HTML
+ * @api private
+ */
+Chart.prototype.describe = function describe(annotation) {
+  var format = Chart.formats.minute
+    , range = format(new Date(annotation.start));
+
+  if (annotation.end !== null) range += ' &ndash; ' + format(new Date(annotation.end));
+
+  return [
+    '<strong>' + annotation.severity + '</strong>',
+    d3.select(document.createElement('div')).text(annotation.message).html(),
+    '<small>' + range + '</small>'
+  ].join('<br>');
+};
+
+//
+// Time formats used in the tooltips, the detail panel and the state of the
+// connection.
+//
+Chart.formats = {
+  second: d3.time.format('%Y-%m-%d %H:%M:%S'),
+  minute: d3.time.format('%Y-%m-%d %H:%M'),
+  day: d3.time.format('%Y-%m-%d'),
+  clock: d3.time.format('%H:%M')
+};
+
+/**
+ * Get the data at the time and vertical position as HTML for the tooltip.
+ *
+ * @param {Date} time Time at the pointer.
+ * @param {Number} y Vertical position of the pointer in pixels.
+ * @return {String} HTML or null if there is no data.
+ * @api private
+ */
+Chart.prototype.inspect = function inspect(time, y) {
+  return 'inspect' in this.serie ? this.serie.inspect(+time, y) : null;
+};
+
+/**
+ * Find the data point nearest to the time.
+ *
+ * @param {Array} data Data points sorted by time.
+ * @param {Number} time
+ * @return {Object} data point or undefined if there is no data.
+ * @api private
+ */
+Chart.prototype.nearest = function nearest(data, time) {
+  var i = d3.bisector(function (d) { return +d.t; }).left(data, time)
+    , before = data[i - 1]
+    , after = data[i];
+
+  if (!before || !after) return before || after;
+  return time - before.t < after.t - time ? before : after;
+};
+
+/**
+ * Get the data points of the step that contains the time.
+ *
+ * @param {Number} time
+ * @return {Array} data points
+ * @api private
+ */
+Chart.prototype.within = function within(time) {
+  var step = this.step;
+
+  return this.data.filter(function filter(d) {
+    return +d.t <= time && time < +d.t + step;
+  });
+};
+
+/**
+ * Format the time for the tooltip, daily data omits the time of day.
+ *
+ * @param {Number} t
+ * @return {String} formatted time
+ * @api private
+ */
+Chart.prototype.moment = function moment(t) {
+  return (this.step < 864E5 ? Chart.formats.minute : Chart.formats.day)(new Date(+t));
+};
+
+//
+// Units of the period of a step, the largest unit that divides the step is used.
+//
+Chart.periods = [ [ 864E5, 'day' ], [ 36E5, 'hour' ], [ 6E4, 'minute' ], [ 1E3, 'second' ] ];
+
+/**
+ * Describe the step as period, e.g. day or 6 hours. Cells of the heatmap count
+ * the modules per step.
+ *
+ * @return {String} period
+ * @api private
+ */
+Chart.prototype.period = function period() {
+  var step = this.step
+    , unit = Chart.periods.filter(function filter(unit) {
+        return step % unit[0] === 0;
+      })[0] || Chart.periods[Chart.periods.length - 1]
+    , n = Math.round(step / unit[0]);
+
+  return n === 1 ? unit[1] : n + ' ' + unit[1] + 's';
+};
+
+/**
+ * Show the content in the tooltip while hovering, or hide the tooltip and
+ * crosshair if there is no content.
+ *
+ * @param {String} content HTML
+ * @api private
+ */
+Chart.prototype.hover = function hover(content) {
+  var position;
+
+  if (!content) {
+    if (this.crosshair) this.crosshair.style('display', 'none');
+    return this.tip.style('display', 'none');
+  }
+
+  position = this.pointer(this.root.select('.svg').node());
+  this.tip.interrupt().html(content).style({
+    left: position[0] + 60 + 'px',
+    top: position[1] + 80 + 'px',
+    display: 'block',
+    opacity: 1
+  });
+};
+
+/**
+ * Position of the mouse or touch relative to the node.
+ *
+ * @param {Element} node
+ * @return {Array} x and y in pixels
+ * @api private
+ */
+Chart.prototype.pointer = function pointer(node) {
+  var touches = d3.event && d3.event.changedTouches;
+  return touches ? d3.touches(node, touches)[0] : d3.mouse(node);
+};
+
+/**
+ * Register event listener for registry selection. This will dispatch an event
+ * that will be listened to from the charts collection.
+ *
+ * @param {Object} registry Reference to self
+ * @return {Function} listener.
+ * @api public
+ */
+Chart.prototype.tooltip = function tooltip(content, hide) {
+  var duration = this.options.animation / 2
+    , position = this.pointer(this.root.select('.svg').node())
+    , names;
+
+  //
+  // Determine if the tooltip is currently visible.
+  //
+  hide = hide || this.tip[0][0].offsetParent;
+
+  //
+  // Hide the tooltip to start fresh.
+  //
   this.tip.transition().duration(duration / 2).style({
     opacity: 0,
     display: 'none'
@@ -877,67 +2699,1040 @@ Chart.prototype.tooltip = function tooltip(content, hide) {
 };
 
 //
-// Initialize the map from the data and options.
+// Register the built-in visuals.
 //
-pipe.once('status:initialize', function init(pagelet) {
-  var hash = window.location.hash
-    , dispatch = d3.dispatch('select')
-    , holder = d3.select(pagelet.placeholders[0]).select('.row .svg')
-    , map = new Map(pagelet.data, dispatch).initialize(holder, transform)
-    , charts = new Charts(pagelet.data, dispatch).initialize(holder, transform)
-    , registries = new Registries(pagelet.data, dispatch, map).add(
-        pagelet.data.registries,
-        pagelet.data.marker
-      );
-
-  //
-  // If a specific location is selected update the charts, on receiving new
-  // data append the latest metric to the charts.
-  //
-  pagelet.pipe.stream.on('data', charts.append.bind(charts));
-  d3.selectAll('.registries li').on('click', change);
+Chart
+  .visual('line', Chart.prototype.line, true)
+  .visual('bar', Chart.prototype.bar)
+  .visual('heatmap', Chart.prototype.heatmap);
 
-  //
-  // Show npmjs.org main registry by default, yes I know not
-  // even the Nodejitsu mirror first, weird huh ;)
-  //
-  change(!hash ? 'npmjs' : hash.slice(1));
+/**
+ * Detail panel of a registry: its URL, location and type from the catalog, the
+ * latest run of every probe type and the failed runs, see runs.js.
+ *
+ * @constructor
+ * @param {Object} data Data of the pagelet.
+ * @param {Selection} root Element of the pagelet, lookups are scoped to it.
+ * @api public
+ */
+function Details(data, root) {
+  this.data = data;
+  this.panel = root.select('.details');
+  this.id = null;
+}
 
-  /**
-   * Transform an SVG element and set visual attributes.
-   *
-   * @param {Element} element SVG element.
-   * @param {Number} width
-   * @param {Number} height
-   * @api private
-   */
-  function transform(element, width, height) {
-    element
-      .attr('width', width)
-      .attr('height', height)
-      .attr('viewBox', [0, 0, width, height].join(' '))
-      .attr('preserveAspectRatio', 'xMinYMin meet');
+//
+// Number of package names that are listed, other packages are counted.
+//
+Details.packages = 5;
 
-    return element;
-  }
+/**
+ * Find the registry and its location in the catalog.
+ *
+ * @param {String} id Registry ID.
+ * @return {Object} registry and location or null if unknown.
+ * @api private
+ */
+Details.prototype.find = function find(id) {
+  var result = null;
 
-  /**
-   * Handle selection of registries.
-   *
-   * @param {String} id Unique identifier of the registry.
-   * @api private
-   */
-  function change(id) {
-    id = id || this.id;
+  this.data.locations.forEach(function each(location) {
+    location.registries.forEach(function each(registry) {
+      if (registry.name === id) result = { registry: registry, location: location };
+    });
+  });
 
-    charts.select(id);
-    registries.highlight(id);
+  return result;
+};
+
+/**
+ * Show the panel of the registry, the runs are shown once they are loaded.
+ *
+ * @param {String} id Registry ID.
+ * @param {Object} runs Optional latest and failed runs.
+ * @return {Details} fluent interface
+ * @api public
+ */
+Details.prototype.show = function show(id, runs) {
+  var entry = this.find(id)
+    , panel = this.panel
+    , facts;
+
+  this.id = id;
+  panel.attr('hidden', null).html('');
+  if (!entry) return this;
+
+  panel.append('h2').text(entry.registry.display || entry.registry.name);
+  facts = panel.append('dl');
+
+  [
+    [ 'URL', entry.registry.url ],
+    [ 'Location', entry.location.id + ' (' + entry.location.lonlat.join(', ') + ')' ],
+    [ 'Type', entry.registry.type ]
+  ].forEach(function each(fact) {
+    facts.append('dt').text(fact[0]);
+    facts.append('dd').text(fact[1]);
+  });
+
+  if (!runs) {
+    panel.append('p').attr('class', 'placeholder').text('Loading probe runs');
+    return this;
+  }
+
+  this.latest(runs.latest || {});
+  this.failures(runs.failures || []);
+
+  return this;
+};
+
+/**
+ * Hide the panel.
+ *
+ * @return {Details} fluent interface
+ * @api public
+ */
+Details.prototype.hide = function hide() {
+  this.id = null;
+  this.panel.attr('hidden', true).html('');
+
+  return this;
+};
+
+/**
+ * Add a table with the latest run of every probe type.
+ *
+ * @param {Object} runs Latest run by probe type.
+ * @api private
+ */
+Details.prototype.latest = function latest(runs) {
+  var types = Object.keys(runs)
+    , details = this
+    , table;
+
+  this.panel.append('h3').text('Latest probe runs');
+  if (!types.length) return this.panel.append('p').attr('class', 'placeholder').text('No probe runs yet');
+
+  table = this.panel.append('table').attr('class', 'runs');
+  table.append('thead').append('tr').selectAll('th')
+    .data([ 'Probe', 'Time', 'Duration', 'Results', 'Packages', 'Error' ])
+    .enter()
+    .append('th')
+    .text(String);
+
+  table.append('tbody').selectAll('tr')
+    .data(types.map(function map(type) { return runs[type]; }))
+    .enter()
+    .append('tr')
+    .classed('failed', function failed(run) { return run.failed; })
+    .selectAll('td')
+    .data(function cells(run) { return details.cells(run); })
+    .enter()
+    .append('td')
+    .text(function text(d) { return d.text; })
+    .attr('title', function title(d) { return d.title || null; });
+};
+
+/**
+ * Get the cells of the run in the table of latest runs.
+ *
+ * @param {Object} run
+ * @return {Array} cells with text and optional title.
+ * @api private
+ */
+Details.prototype.cells = function cells(run) {
+  var results = run.results && 'object' === typeof run.results ? run.results : {}
+    , packages = run.packages || []
+    , lagging = results.modules || []
+    , values = [];
+
+  //
+  // Numeric results of the probe, e.g. the statistics of the pings or the
+  // replication lag, nested statistics are flattened.
+  //
+  Object.keys(results).forEach(function each(key) {
+    var value = results[key];
+
+    if ('number' === typeof value) return values.push(key + ': ' + Math.round(value));
+    if (!value || 'object' !== typeof value || Array.isArray(value)) return;
+
+    Object.keys(value).forEach(function each(nested) {
+      if ('number' === typeof value[nested]) values.push(key + '.' + nested + ': ' + Math.round(value[nested]));
+    });
+  });
+
+  return [
+    { text: run.type },
+    { text: Chart.formats.second(new Date(run.start)) },
+    { text: run.duration + ' ms' },
+    { text: values.join(', ') || '\u2013' },
+    {
+      text: packages.slice(0, Details.packages).join(', ')
+        + (packages.length > Details.packages ? ' and ' + (packages.length - Details.packages) + ' more' : '')
+        + (lagging.length ? ' (' + lagging.length + ' lagging)' : '') || '\u2013',
+      title: packages.join(', ') + (lagging.length ? '\nLagging: ' + lagging.join(', ') : '')
+    },
+    { text: run.error || (run.failed ? 'failed' : '') }
+  ];
+};
+
+/**
+ * Add the list of failed runs, most recent first.
+ *
+ * @param {Array} runs Failed runs.
+ * @api private
+ */
+Details.prototype.failures = function failures(runs) {
+  this.panel.append('h3').text('Failed runs');
+  if (!runs.length) return this.panel.append('p').attr('class', 'placeholder').text('No failed runs');
+
+  this.panel.append('ul').attr('class', 'failures').selectAll('li')
+    .data(runs)
+    .enter()
+    .append('li')
+    .text(function text(run) {
+      return Chart.formats.second(new Date(run.start)) + ' ' + run.type + ': '
+        + (run.error || 'failed');
+    });
+};
+
+/**
+ * Initialize the map from the data and options. All DOM lookups, ids and
+ * events are scoped to the pagelet, so multiple status pagelets can be on the
+ * same page.
+ *
+ * @param {Pagelet} pagelet BigPipe pagelet with placeholders and data.
+ * @api public
+ */
+function mount(pagelet) {
+  var scope = 'status-' + (pagelet.id || ++mount.instances)
+    , name = pagelet.name || 'status'
+    , root = d3.select(pagelet.placeholders[0]).select('.registry-status').attr('data-status', scope)
+    , initial = (root.attr('class').match(/theme-([\w-]+)/) || [])[1]
+    , theme = initial
+    , selected = []
+    , dispatch = d3.dispatch('select', 'health', 'fetch', 'announce', 'zoom')
+    , holder = root.select('.svg')
+    , hydrate = holder.selectAll('.static').remove()
+    , map = new Map(pagelet.data, dispatch)
+    , size = layout()
+    , registries = new Registries(pagelet.data, dispatch, map.initialize(holder, transform, size.map), root).add(
+        pagelet.data.locations,
+        pagelet.data.marker
+      )
+    , charts = new Charts(pagelet.data, dispatch, root).initialize(holder, transform, size.charts)
+    , stream = pagelet.pipe ? pagelet.pipe.stream : pagelet.stream
+    , indicator = root.select('.connection')
+    , details = new Details(pagelet.data, root)
+    , route = read()
+    , expanded = route.details
+    , seen = Date.now()
+    , lost = null
+    , focus = null
+    , requests = 0
+    , timer, watch, pending;
+
+  //
+  // If a specific location is selected update the charts, on receiving new
+  // data append the latest metric to the charts. The state of the connection
+  // is shown and missed data is requested once it is reconnected. Pagelets
+  // rendered by BigPipe listen on the stream of the page, the standalone
+  // widget brings its own stream of server-sent events.
+  //
+  stream.on('data', receive);
+  stream.on('open', open);
+  stream.on('reconnecting', reconnecting);
+  stream.on('end', end);
+  root.selectAll('.registries li').on('click', click);
+  root.select('.registries ul').on('keydown', keydown);
+  root.selectAll('.ranges a[data-range]').on('click', range);
+  root.select('.ranges .toggle-details').on('click', toggle);
+  root.selectAll('.types a[data-type]').on('click', pick);
+  root.select('.theme-picker').on('change', function picked() {
+    style(this.value);
+    write(true);
+  });
+  dispatch.on('health', health);
+  dispatch.on('zoom', zoomed);
+  dispatch.on('fetch', fetch);
+  dispatch.on('select', select);
+  dispatch.on('announce', function announce(text) {
+    root.select('.live').text(text);
+  });
+  d3.select(window)
+    .on('resize.' + scope, resize)
+    .on('popstate.' + scope, restore)
+    .on('hashchange.' + scope, restore);
+
+  //
+  // Restore the state of the URL hash. Without registries in the hash the
+  // registry that is selected on the server is shown, npmjs.org main registry
+  // by default.
+  //
+  apply(route);
+  state('live');
+  watchdog();
+
+  /**
+   * Append the probe result to the charts.
+   *
+   * @param {Object} probe Probe result.
+   * @api private
+   */
+  function receive(probe) {
+    seen = Date.now();
+    charts.append(probe);
+
+    if (expanded && probe && probe.data && probe.data.registry === details.id) load(details.id);
+
+    if (lost !== null) return;
+    state('live');
+    watchdog();
+  }
+
+  /**
+   * The connection is (re)opened, request the data that was missed.
+   *
+   * @api private
+   */
+  function open() {
+    if (lost !== null) charts.backfill();
+
+    lost = null;
+    seen = Date.now();
+    state('live');
+    watchdog();
+  }
+
+  /**
+   * The connection is lost and a reconnect is scheduled.
+   *
+   * @api private
+   */
+  function reconnecting() {
+    if (lost === null) lost = Date.now();
+
+    clearTimeout(watch);
+    state('reconnecting');
+  }
+
+  /**
+   * The connection is closed for good, the charts are stale from now on.
+   *
+   * @api private
+   */
+  function end() {
+    if (lost === null) lost = Date.now();
+
+    clearTimeout(watch);
+    state('stale', lost);
+  }
+
+  /**
+   * Mark the charts stale if no probe result is received in time.
+   *
+   * @api private
+   */
+  function watchdog() {
+    clearTimeout(watch);
+    watch = setTimeout(function stale() {
+      state('stale', seen);
+    }, pagelet.data.options.stale || 3E5);
+  }
+
+  /**
+   * Show the state of the connection: live, reconnecting or stale.
+   *
+   * @param {String} name State of the connection.
+   * @param {Number} since Time the data is stale since.
+   * @api private
+   */
+  function state(name, since) {
+    var text = name === 'stale' ? 'stale since ' + Chart.formats.clock(new Date(since)) : name;
+
+    if (indicator.text() === text) return;
+    indicator.attr('class', 'connection ' + name).text(text);
+  }
+
+  /**
+   * Transform an SVG element and set visual attributes.
+   *
+   * @param {Element} element SVG element.
+   * @param {Number} width
+   * @param {Number} height
+   * @api private
+   */
+  function transform(element, width, height) {
+    element
+      .attr('width', width)
+      .attr('height', height)
+      .attr('viewBox', [0, 0, width, height].join(' '))
+      .attr('preserveAspectRatio', 'xMinYMin meet');
+
+    return element;
+  }
+
+  /**
+   * Update the health badge in the list and the marker of the registry.
+   *
+   * @param {String} name Name of the registry.
+   * @param {Object} state Health of the registry.
+   * @api private
+   */
+  function health(name, state) {
+    var badge = root.select('.registries li[data-registry="' + name + '"] .badge').attr({
+      title: state.state,
+      'aria-label': state.state
+    });
+
+    registries.status(name, state);
+    Registries.states.forEach(function each(key) {
+      badge.classed(key, key === state.state);
+    });
+  }
+
+  /**
+   * Calculate the dimensions of the map and charts from the container. Narrow
+   * containers stack the map above the charts.
+   *
+   * @return {Object} width and height of the map and charts.
+   * @api private
+   */
+  function layout() {
+    var options = pagelet.data.options
+      , width = Math.floor(holder.node().getBoundingClientRect().width) || options.width
+      , stacked = width < options.breakpoint;
+
+    holder.classed('stacked', stacked);
+
+    if (stacked) return {
+      map: [ width, Math.round(width * map.aspect()) ],
+      charts: [ width, options.height ]
+    };
+
+    return {
+      map: [ Math.floor(width * options.ratio), options.height ],
+      charts: [ Math.floor(width * (1 - options.ratio)), options.height ]
+    };
+  }
+
+  /**
+   * Lay out the map and charts again once the window is no longer resized.
+   *
+   * @api private
+   */
+  function resize() {
+    clearTimeout(timer);
+    timer = setTimeout(function done() {
+      var current = layout();
+
+      if (current.map.join() === size.map.join() && current.charts.join() === size.charts.join()) return;
+
+      size = current;
+      map.resize(size.map);
+      registries.position();
+      charts.resize(size.charts);
+      change(selected);
+    }, 100);
+  }
+
+  /**
+   * Show the picked time range on all charts.
+   *
+   * @api private
+   */
+  function range() {
+    var key = this.getAttribute('data-range');
+
+    d3.event.preventDefault();
+    root.selectAll('.ranges a[data-range]').classed('active', false);
+    d3.select(this).classed('active', true);
+
+    charts.range(pagelet.data.options.ranges[key]);
+    write(true);
+  }
+
+  /**
+   * Store the time range in the URL hash and show its report once zooming or
+   * panning stopped, as the charts are zoomed on every move.
+   *
+   * @param {String} type Data type, per example ping.
+   * @param {Array} window Fixed time range, if any.
+   * @param {Number} span Size of the live time range, if any.
+   * @api private
+   */
+  function zoomed(type, window, span) {
+    focus = window || span ? { window: window, span: span } : null;
+
+    clearTimeout(pending);
+    pending = setTimeout(function stopped() {
+      write();
+      report();
+    }, 250);
+  }
+
+  /**
+   * Add the uptime report of the shown time range to the reports of the
+   * selected registries, unless it is one of the windows of the report.
+   *
+   * @api private
+   */
+  function report() {
+    var ranges = pagelet.data.options.ranges || {}
+      , request = ++requests
+      , ids = selected
+      , key, from, to;
+
+    root.selectAll('.report .sla tr.range').remove();
+    if (!focus || !ids.length || 'function' !== typeof pagelet.sla) return;
+
+    if (focus.window) {
+      from = focus.window[0];
+      to = focus.window[1];
+    } else {
+      to = Date.now();
+      from = to - focus.span;
+      key = Object.keys(ranges).filter(function filter(range) {
+        return ranges[range] === focus.span;
+      })[0];
+
+      if (key && key in ((pagelet.data.report || {})[ids[0]] || {})) return;
+    }
+
+    pagelet.sla({ registry: ids, from: from, to: to }, function reported(error, reports) {
+      if (error || request !== requests) return;
+
+      ids.forEach(function each(id) {
+        if (reports[id]) row(id, key || Chart.formats.minute(new Date(from)) + ' – ' + Chart.formats.minute(new Date(to)), reports[id]);
+      });
+    });
+  }
+
+  /**
+   * Add a row with the report of a time range to the reports of the registry.
+   *
+   * @param {String} id Unique identifier of the registry.
+   * @param {String} label Time range.
+   * @param {Object} sla Report of the time range.
+   * @api private
+   */
+  function row(id, label, sla) {
+    var tr = root.select('.report .sla.' + id + ' tbody').append('tr').attr({
+      class: 'range',
+      title: sla.samples + ' samples, ' + sla.coverage + '% of the range has data'
+    });
+
+    tr.append('th').text(label);
+    [
+      [ sla.uptime, '%' ],
+      [ sla.p50, ' ms' ],
+      [ sla.p95, ' ms' ],
+      [ sla.p99, ' ms' ],
+      [ sla.lag, ' min' ],
+      [ sla.publish, '%' ]
+    ].forEach(function each(cell) {
+      tr.append('td').text(cell[0] === null ? '\u2014' : cell[0] + cell[1]);
+    });
+  }
+
+  /**
+   * Show or hide the charts of the picked data type.
+   *
+   * @api private
+   */
+  function pick() {
+    var type = this.getAttribute('data-type')
+      , types = charts.visible || charts.types();
+
+    d3.event.preventDefault();
+    visible(charts.types().filter(function filter(key) {
+      return key === type ? !~types.indexOf(key) : !!~types.indexOf(key);
+    }));
+
+    write(true);
+  }
+
+  /**
+   * Show the charts of the data types and mark their links as pressed.
+   *
+   * @param {Array} types Visible data types, all data types if null.
+   * @api private
+   */
+  function visible(types) {
+    if (types && types.length === charts.types().length) types = null;
+
+    charts.show(types);
+    root.selectAll('.types a[data-type]').each(function each() {
+      var shown = !types || !!~types.indexOf(this.getAttribute('data-type'));
+
+      d3.select(this).classed('active', shown).attr('aria-pressed', shown);
+    });
+  }
+
+  /**
+   * Switch to the named theme by replacing the CSS custom properties of the
+   * pagelet, unknown names switch back to the theme of the server.
+   *
+   * @param {String} key Name of the theme.
+   * @api private
+   */
+  function style(key) {
+    var themes = pagelet.data.themes || {}
+      , variables;
+
+    if (!themes.hasOwnProperty(key)) key = initial;
+    if (!(variables = themes[key])) return;
+
+    theme = key;
+    root.select('.theme-picker').property('value', key);
+    root.attr({
+      class: root.attr('class').replace(/theme-[\w-]+/, 'theme-' + key),
+      style: Object.keys(variables).map(function map(property) {
+        return property + ': ' + variables[property];
+      }).join('; ')
+    });
+  }
+
+  /**
+   * Show or hide the detail panel of the selected registry.
+   *
+   * @api private
+   */
+  function toggle() {
+    d3.event.preventDefault();
+
+    expanded = !expanded;
+    change(selected, true);
+  }
+
+  /**
+   * Show the detail panel of the registry if expanded, hide it otherwise.
+   *
+   * @param {String} id Unique identifier of the registry.
+   * @api private
+   */
+  function detail(id) {
+    root.select('.ranges .toggle-details').classed('active', expanded).attr('aria-expanded', expanded);
+    if (!expanded) return details.hide();
+
+    if (details.id !== id) details.show(id);
+    load(id);
+  }
+
+  /**
+   * Load the probe runs of the registry and show them in the detail panel.
+   *
+   * @param {String} id Unique identifier of the registry.
+   * @api private
+   */
+  function load(id) {
+    if ('function' !== typeof pagelet.details) return details.show(id, {});
+
+    pagelet.details(id, function loaded(error, runs) {
+      if (!error && expanded && details.id === id) details.show(id, runs);
+    });
+  }
+
+  /**
+   * Fetch older data from the server and merge it in the charts.
+   *
+   * @param {Object} query Data type and time range.
+   * @api private
+   */
+  function fetch(query) {
+    if ('function' !== typeof pagelet.snapshot) return;
+
+    pagelet.snapshot(query, function fetched(error, data) {
+      if (!error) charts.load(data);
+    });
+  }
+
+  /**
+   * Handle clicks on the registry list, a modifier-click adds or removes the
+   * registry from the comparison.
+   *
+   * @api private
+   */
+  function click() {
+    var event = d3.event;
+
+    event.preventDefault();
+    select(this.getAttribute('data-registry'), event.ctrlKey || event.metaKey || event.shiftKey);
+  }
+
+  /**
+   * Move through the registry list with the arrow, home and end keys, enter or
+   * space selects the focused registry.
+   *
+   * @api private
+   */
+  function keydown() {
+    var event = d3.event
+      , items = root.selectAll('.registries li')[0]
+      , i = items.indexOf(document.activeElement)
+      , next;
+
+    switch (event.keyCode) {
+      case 37: case 38: next = i - 1; break;          // Left and up.
+      case 39: case 40: next = i + 1; break;          // Right and down.
+      case 36: next = 0; break;                       // Home.
+      case 35: next = items.length - 1; break;        // End.
+
+      case 13: case 32:                               // Enter and space.
+        if (!~i) return;
+
+        event.preventDefault();
+        return select(items[i].getAttribute('data-registry'), event.ctrlKey || event.metaKey || event.shiftKey);
+
+      default: return;
+    }
+
+    event.preventDefault();
+    next = Math.max(0, Math.min(items.length - 1, next));
+
+    items.forEach(function each(item, j) {
+      item.setAttribute('tabindex', j === next ? 0 : -1);
+    });
+
+    items[next].focus();
+  }
+
+  /**
+   * Select the registry or add or remove it from the comparison.
+   *
+   * @param {String} id Unique identifier of the registry.
+   * @param {Boolean} toggle Add or remove the registry from the comparison.
+   * @api private
+   */
+  function select(id, toggle) {
+    var ids = selected.slice()
+      , i = ids.indexOf(id);
+
+    if (!toggle) return change([ id ], true);
+
+    if (!~i) ids.push(id);
+    else if (ids.length > 1) ids.splice(i, 1);
+
+    change(ids, true);
+  }
+
+  /**
+   * Handle selection of registries, multiple registries are compared. The
+   * selection is stored in the URL hash as comma separated IDs.
+   *
+   * @param {Array} ids Unique identifiers of the registries.
+   * @param {Boolean} push Add the selection to the browser history.
+   * @api private
+   */
+  function change(ids, push) {
+    ids = ids.filter(function filter(id, i) {
+      return /^[a-z][\w-]*$/i.test(id)
+        && ids.indexOf(id) === i
+        && !root.select('.registries li[data-registry="' + id + '"]').empty();
+    });
+
+    if (!ids.length) ids = [ (root.select('.registries li.highlight').node()
+      ? root.select('.registries li.highlight')
+      : root.select('.registries li')
+    ).attr('data-registry') ];
+    selected = ids;
+
+    if (ids.length > 1) charts.compare(ids);
+    else charts.select(ids[0]);
+    registries.highlight(ids);
+
+    //
+    // Highlight selected registries and mark their color when compared.
+    //
+    root.selectAll('.registries li').each(function each() {
+      var i = ids.indexOf(this.getAttribute('data-registry'))
+        , item = d3.select(this).classed('highlight', !!~i).attr('aria-selected', !!~i);
+
+      for (var n = 0; n < charts.colors; n++) {
+        item.classed('series-' + n, ids.length > 1 && i % charts.colors === n);
+      }
+    });
 
     //
-    // Highlight selected registry.
+    // Expose the data tables of the selected registries to screen readers.
     //
-    if (d3.event) d3.event.preventDefault();
-    d3.selectAll('.registries li').classed('highlight', false);
-    d3.select('#' + id).classed('highlight', true);
+    root.selectAll('.tables table').attr('aria-hidden', function hidden() {
+      return !~ids.indexOf(this.getAttribute('data-registry'));
+    });
+
+    //
+    // Show the uptime report of the selected registries.
+    //
+    root.selectAll('.report .sla').classed('show', false);
+    ids.forEach(function each(id) {
+      root.select('.report .sla.' + id).classed('show', true);
+    });
+
+    detail(ids[0]);
+    write(push);
+    report();
   }
+
+  /**
+   * Get the parts of the URL hash, each pagelet stores its state in a part
+   * prefixed with its name, e.g. #public=npmjs&internal=corp. The part without
+   * prefix belongs to the pagelet named status, e.g. #npmjs,nodejitsu.
+   *
+   * @return {Object} state by pagelet name.
+   * @api private
+   */
+  function parts() {
+    return window.location.hash.slice(1).split('&').reduce(function reduce(memo, part) {
+      var i = part.indexOf('=');
+
+      if (part) memo[~i ? decodeURIComponent(part.slice(0, i)) : 'status'] = part.slice(i + 1);
+      return memo;
+    }, {});
+  }
+
+  /**
+   * Read the state of this pagelet from the URL hash. The comma separated IDs
+   * of the selected registries are followed by optional segments, e.g.
+   * #npmjs,nodejitsu/details/range:24h/types:ping,delta/theme:dark:
+   *  - details: the detail panel is shown.
+   *  - range:{key}: time range of all charts, a key of the ranges option.
+   *  - zoom:{type}:{from}-{to}: fixed time range of a data type in milliseconds.
+   *  - types:{types}: comma separated data types of the visible charts.
+   *  - theme:{name}: name of the theme.
+   *
+   * @return {Object} state of the pagelet.
+   * @api private
+   */
+  function read() {
+    var segments = (parts()[name] || '').split('/')
+      , route = {
+          ids: segments[0] ? segments[0].split(',') : [],
+          details: false,
+          range: null,
+          zooms: {},
+          types: null,
+          theme: null
+        };
+
+    segments.slice(1).forEach(function each(segment) {
+      var values = segment.split(':')
+        , extent = (values[2] || '').split('-').map(Number);
+
+      switch (values[0]) {
+        case 'details': route.details = true; break;
+        case 'range': route.range = values[1]; break;
+        case 'types': route.types = values[1] ? values[1].split(',') : []; break;
+        case 'theme': route.theme = values[1]; break;
+        case 'zoom': if (extent[0] < extent[1]) route.zooms[values[1]] = extent; break;
+      }
+    });
+
+    return route;
+  }
+
+  /**
+   * Serialize the state of this pagelet as part of the URL hash, see read.
+   *
+   * @return {String} state
+   * @api private
+   */
+  function serialize() {
+    var ranges = pagelet.data.options.ranges || {}
+      , segments = [ selected.join(',') ]
+      , zooms = []
+      , range;
+
+    if (expanded) segments.push('details');
+
+    Object.keys(charts.zooms).forEach(function each(type) {
+      var zoom = charts.zooms[type];
+
+      if (zoom.window) return zooms.push('zoom:' + type + ':' + zoom.window.map(Math.round).join('-'));
+      if (zoom.span) range = Object.keys(ranges).filter(function filter(key) {
+        return ranges[key] === zoom.span;
+      })[0] || range;
+    });
+
+    if (range) segments.push('range:' + range);
+    if (charts.visible) segments.push('types:' + charts.visible.join(','));
+    if (theme !== initial) segments.push('theme:' + theme);
+
+    return segments.concat(zooms).join('/');
+  }
+
+  /**
+   * Store the state of this pagelet in the URL hash, the parts of other
+   * pagelets are kept.
+   *
+   * @param {Boolean} push Add the state to the browser history.
+   * @api private
+   */
+  function write(push) {
+    var current = parts()
+      , hash;
+
+    if (!window.history || !history.replaceState) return;
+
+    current[name] = serialize();
+    hash = '#' + Object.keys(current).map(function map(key) {
+      return (key === 'status' ? '' : encodeURIComponent(key) + '=') + current[key];
+    }).join('&');
+
+    if (hash !== window.location.hash) history[push ? 'pushState' : 'replaceState'](null, '', hash);
+  }
+
+  /**
+   * Show the state read from the URL hash.
+   *
+   * @param {Object} route State of the pagelet, see read.
+   * @api private
+   */
+  function apply(route) {
+    var ranges = pagelet.data.options.ranges || {}
+      , span = ranges.hasOwnProperty(route.range) ? ranges[route.range] : null
+      , types = charts.types();
+
+    expanded = route.details;
+    style(route.theme);
+    visible(route.types && types.filter(function filter(type) {
+      return !!~route.types.indexOf(type);
+    }));
+
+    //
+    // Charts that were never zoomed already show the default time range.
+    //
+    types.forEach(function each(type) {
+      var extent = route.zooms[type] || null;
+
+      if (!extent && !span && !(type in charts.zooms)) return;
+      charts.zoom(type, extent, extent ? null : span).fetch(type);
+    });
+
+    root.selectAll('.ranges a[data-range]').classed('active', function active() {
+      return !!span && this.getAttribute('data-range') === route.range;
+    });
+
+    change(route.ids);
+  }
+
+  /**
+   * Show the state of the URL hash after navigating through the history or
+   * changing the hash, unless it is the current state.
+   *
+   * @api private
+   */
+  function restore() {
+    if ((parts()[name] || '') === serialize()) return;
+
+    apply(read());
+  }
+}
+
+//
+// Number of pagelets mounted without BigPipe id, used to scope them.
+//
+mount.instances = 0;
+
+/**
+ * Names of the status pagelets on the page. BigPipe names pagelets after their
+ * key in the pagelets of the page, the status view carries the name of its
+ * pagelet in the `data-pagelet` attribute. The fragment holds the view as a
+ * comment until the pagelet arrives, so the attribute is matched as text.
+ *
+ * @return {Array} names
+ * @api private
+ */
+mount.names = function names() {
+  var result = [ 'status' ];
+
+  d3.selectAll('[data-pagelet-fragment]').each(function each() {
+    var name = this.getAttribute('data-pagelet-fragment');
+
+    if (~this.innerHTML.indexOf('data-pagelet="' + name + '"') && !~result.indexOf(name)) result.push(name);
+  });
+
+  return result;
+};
+
+/**
+ * Mount the map and charts into any element without BigPipe, e.g. the widget
+ * served by widget.js. The view and data are loaded from the JSON endpoint,
+ * probe results are received as server-sent events and older data is fetched
+ * from the export.
+ *
+ * @param {Element} element Container of the status.
+ * @param {String} base URL of the widget, e.g. /status.
+ * @param {Function} fn Optional completion callback.
+ * @api public
+ */
+mount.standalone = function standalone(element, base, fn) {
+  base = (base || '').replace(/\/$/, '');
+  fn = fn || function noop() {};
+
+  d3.json(base + '/status.json', function loaded(error, body) {
+    if (error) return fn(error);
+
+    var stream = d3.dispatch('data', 'open', 'reconnecting', 'end')
+      , source;
+
+    element.innerHTML = body.html;
+
+    //
+    // The browser reconnects the event source, until it is closed.
+    //
+    if ('undefined' !== typeof EventSource) {
+      source = new EventSource(base + '/events');
+      source.onopen = function open() {
+        stream.open();
+      };
+
+      source.onerror = function error() {
+        if (source.readyState === EventSource.CLOSED) stream.end();
+        else stream.reconnecting();
+      };
+
+      source.onmessage = function message(event) {
+        stream.data(JSON.parse(event.data));
+      };
+    }
+
+    mount({
+      id: body.id,
+      name: body.name,
+      placeholders: [ element ],
+      data: body.data,
+      stream: stream,
+      details: function details(id, done) {
+        d3.json(base + '/details?registry=' + encodeURIComponent(id), done);
+      },
+      snapshot: function snapshot(query, done) {
+        d3.json(base + '/export?' + mount.query(query), done);
+      },
+      sla: function sla(query, done) {
+        d3.json(base + '/sla?' + mount.query(query), done);
+      }
+    });
+
+    fn();
+  });
+};
+
+/**
+ * Serialize the query as query string, lists are comma separated.
+ *
+ * @param {Object} data Query parameters.
+ * @return {String} query string
+ * @api private
+ */
+mount.query = function query(data) {
+  return Object.keys(data).map(function map(key) {
+    return encodeURIComponent(key) + '=' + encodeURIComponent(data[key]);
+  }).join('&');
+};
+
+//
+// Initialize every status pagelet once BigPipe has loaded it, without BigPipe
+// the status is mounted with mount.standalone.
+//
+if ('undefined' !== typeof pipe) mount.names().forEach(function each(name) {
+  pipe.once(name + ':initialize', mount);
 });
@@ -0,0 +1,188 @@
+'use strict';
+
+/**
+ * Export the status and latest values per type and registry in a machine
+ * readable format. The time range defaults to the x domain of each chart, so
+ * exported data matches the data that is displayed.
+ *
+ * @constructor
+ * @param {Object} data Pagelet data with status, latest and options.
+ * @api public
+ */
+function Exporter(data) {
+  this.status = data.status || {};
+  this.latest = data.latest || {};
+  this.options = data.options || {};
+}
+
+//
+// Content types of the supported formats.
+//
+Exporter.formats = {
+  json: 'application/json',
+  csv: 'text/csv'
+};
+
+/**
+ * Normalize the query, lists can be provided as Array or comma separated
+ * string and times as milliseconds or date string.
+ *
+ * @param {Object} query Filters: registry, type, from and to.
+ * @returns {Object} normalized query
+ * @api private
+ */
+Exporter.prototype.parse = function parse(query) {
+  query = query || {};
+
+  function list(value) {
+    if (!value) return null;
+    return Array.isArray(value) ? value : String(value).split(',');
+  }
+
+  function time(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    value = isNaN(+value) ? new Date(value).getTime() : +value;
+    return isNaN(value) ? null : value;
+  }
+
+  return {
+    registry: list(query.registry),
+    type: list(query.type),
+    from: time(query.from),
+    to: time(query.to)
+  };
+};
+
+/**
+ * Filter the data by registry, type and time range.
+ *
+ * @param {Object} query Filters: registry, type, from and to.
+ * @returns {Object} data as type.registry.{ latest, points }
+ * @api public
+ */
+Exporter.prototype.filter = function filter(query) {
+  var exporter = this
+    , result = {};
+
+  query = this.parse(query);
+
+  Object.keys(this.status).forEach(function each(type) {
+    var domain = exporter.domain(type)
+      , from = query.from !== null ? query.from : domain[0]
+      , to = query.to !== null ? query.to : domain[1];
+
+    if (query.type && !~query.type.indexOf(type)) return;
+
+    Object.keys(exporter.status[type]).forEach(function each(registry) {
+      if (query.registry && !~query.registry.indexOf(registry)) return;
+
+      result[type] = result[type] || {};
+      result[type][registry] = {
+        latest: (exporter.latest[type] || {})[registry],
+        points: exporter.status[type][registry].filter(function filter(point) {
+          return +point.t >= from && +point.t <= to;
+        })
+      };
+    });
+  });
+
+  return result;
+};
+
+/**
+ * Time domain of the chart of the type, unbounded if the chart has no domain.
+ *
+ * @param {String} type Data type, e.g. ping.
+ * @returns {Array} lower and upper boundary
+ * @api private
+ */
+Exporter.prototype.domain = function domain(type) {
+  var x = (this.options[type] || {}).x || {};
+
+  return Array.isArray(x.domain) && x.domain.length
+    ? [ +x.domain[0], +x.domain[x.domain.length - 1] ]
+    : [ -Infinity, Infinity ];
+};
+
+/**
+ * Export the filtered data as JSON.
+ *
+ * @param {Object} query Filters: registry, type, from and to.
+ * @returns {String} JSON
+ * @api public
+ */
+Exporter.prototype.json = function json(query) {
+  return JSON.stringify(this.filter(query));
+};
+
+/**
+ * Export the filtered data as CSV, one row per data point. Columns are probe
+ * (the data type), registry, t, date, latest followed by all keys of the values.
+ *
+ * @param {Object} query Filters: registry, type, from and to.
+ * @returns {String} CSV
+ * @api public
+ */
+Exporter.prototype.csv = function csv(query) {
+  var data = this.filter(query)
+    , keys = []
+    , rows = [];
+
+  Object.keys(data).forEach(function each(type) {
+    Object.keys(data[type]).forEach(function each(registry) {
+      data[type][registry].points.forEach(function each(point) {
+        Object.keys(point.values || {}).forEach(function each(key) {
+          if (!~keys.indexOf(key)) keys.push(key);
+        });
+
+        rows.push({
+          type: type,
+          registry: registry,
+          latest: data[type][registry].latest,
+          point: point
+        });
+      });
+    });
+  });
+
+  return [
+    [ 'probe', 'registry', 't', 'date', 'latest' ].concat(keys)
+  ].concat(rows.map(function map(row) {
+    return [
+      row.type,
+      row.registry,
+      +row.point.t,
+      new Date(+row.point.t).toISOString(),
+      row.latest
+    ].concat(keys.map(function map(key) {
+      return (row.point.values || {})[key];
+    }));
+  })).map(function map(columns) {
+    return columns.map(this.escape).join(',');
+  }, this).join('\n') +'\n';
+};
+
+/**
+ * Escape the value for usage in CSV. Text starting with =, +, -, @, a tab or a
+ * carriage return is prefixed with ' so spreadsheets do not evaluate it as
+ * formula, numbers are kept as is.
+ *
+ * @param {Mixed} value
+ * @returns {String} escaped value
+ * @api private
+ */
+Exporter.prototype.escape = function escape(value) {
+  if (value === undefined || value === null) return '';
+  if ('object' === typeof value) value = JSON.stringify(value);
+
+  value = String(value);
+  if (/^[\t\r]/.test(value) || /^[=+\-@]/.test(value) && isNaN(+value)) value = "'"+ value;
+
+  return /[",\n\r]/.test(value) ? '"'+ value.replace(/"/g, '""') +'"' : value;
+};
+
+//
+// Expose the exporter.
+//
+module.exports = Exporter;
@@ -0,0 +1,595 @@
+'use strict';
+
+var url = require('url')
+  , path = require('path')
+  , util = require('util')
+  , schedule = require('node-schedule')
+  , EventEmitter = require('events').EventEmitter
+  , defaults = require('npm-probe/registries')
+  , Storage = require('./storage')
+  , Runs = require('./runs')
+  , Changes = require('./changes')
+  , Health = require('./health')
+  , Catalog = require('./catalog');
+
+/**
+ * Feed of probe results for all registries in the catalog. The npm-probe
+ * probes are run by the feed, results are transformed to the
+ * `status.type.registry[{t: Date, values: {}}]` and `latest.type.registry`
+ * representation the pagelet expects. Options:
+ *  - registries {Mixed}: catalog source, defaults to bundled registries.json.
+ *  - options {Object}: chart options, defaults to options.js.
+ *  - probes {Object}: probe constructors by type, defaults to npm-probe probes.
+ *  - npm {Object}: npm configuration used by the publish probe.
+ *  - cache {Object}: cache layer, results are stored with set(key, value, fn).
+ *  - changes {Object}: source of the registry changes used by the replication
+ *    lag probe, defaults to the npm changes feed, see changes.js.
+ *  - store {Mixed}: storage adapter or path to the file used by Storage, the
+ *    status is restored from it before probing starts.
+ *  - retention {Mixed}: milliseconds of history to keep, per type or for all
+ *    types, defaults to the time window of each chart.
+ *  - runs {Number}: failed probe runs kept per registry, see runs.js.
+ *
+ * @constructor
+ * @param {Object} options
+ * @api public
+ */
+function Feed(options) {
+  EventEmitter.call(this);
+
+  options = options || {};
+
+  this.catalog = Catalog.from(options.registries || path.join(__dirname, 'registries.json'));
+  this.options = options.options || require('./options');
+  this.config = options;
+
+  //
+  // npm-probe is only loaded for its probes, it loads npm for the publish probe.
+  //
+  this.probes = options.probes || require('npm-probe').probes;
+
+  this.collector = null;
+  this.jobs = [];
+  this.runs = new Runs(options.runs);
+
+  //
+  // The registry changes are only refreshed if the replication lag is probed.
+  //
+  this.changes = options.changes || (~this.types().indexOf('delta') ? new Changes() : null);
+  if (this.changes && 'function' === typeof this.changes.on) {
+    this.changes.on('error', this.failure.bind(this));
+  }
+
+  //
+  // Optional storage of the status, data is loaded from it only once.
+  //
+  this.store = options.store || null;
+  if ('string' === typeof this.store) this.store = new Storage({ file: this.store });
+  if (this.store && !Storage.adapter(this.store)) {
+    throw new Error('[registry-status-pagelet] store should implement load and save');
+  }
+
+  this.loading = false;
+  this.loaded = !this.store;
+
+  //
+  // Plain probe results per type and registry, only the results required to
+  // transform the most recent interval are kept.
+  //
+  this.raw = {};
+  this.status = {};
+  this.latest = {};
+}
+
+util.inherits(Feed, EventEmitter);
+
+//
+// Number of plain results that are kept regardless of the interval, ping uses
+// these to calculate the moving average.
+//
+Feed.tail = 5;
+
+/**
+ * Group the results per interval and transform them, equals the grouping of
+ * the npm-probe collector.
+ *
+ * @param {Function} interval Time interval of the start of a result.
+ * @param {Function} categorize Transform the results of an interval.
+ * @param {Mixed} base Initial value of an interval.
+ * @returns {Function} grouping of results
+ * @api public
+ */
+Feed.group = function group(interval, categorize, base) {
+  return function execute(data) {
+    var result = data.reduce(function reduce(memo, probe, i) {
+      var t = interval(probe.start);
+
+      if (!(t in memo)) memo[t] = base === undefined ? base : JSON.parse(JSON.stringify(base));
+      memo[t] = categorize(memo[t], probe, i, data);
+      return memo;
+    }, {});
+
+    return Object.keys(result).reduce(function flatten(stack, t) {
+      var items = Array.isArray(result[t]) ? result[t] : [ result[t] ];
+
+      return stack.concat(items.map(function map(item) {
+        return { t: t, values: item };
+      }));
+    }, []);
+  };
+};
+
+/**
+ * Minimum, maximum, mean and standard deviation of request times, equals the
+ * statistics of the npm-probe collector.
+ *
+ * @param {Array} data Request times.
+ * @returns {Object} statistics
+ * @api public
+ */
+Feed.calculate = function calculate(data) {
+  var mean = data.reduce(function sum(a, b) {
+    return a + b;
+  }, 0) / data.length;
+
+  return {
+    mean: Math.round(mean),
+    minimum: Math.round(Math.min.apply(null, data)),
+    maximum: Math.round(Math.max.apply(null, data)),
+    stdev: Math.round(Math.sqrt(data.reduce(function deviation(dev, current) {
+      return dev + Math.pow(current - mean, 2);
+    }, 0) / (data.length - 1)))
+  };
+};
+
+/**
+ * Start probing the registries, calling start on a running feed is ignored.
+ *
+ * @returns {Feed} fluent interface
+ * @api public
+ */
+Feed.prototype.start = function start() {
+  if (this.collector) return this;
+
+  this.collector = this.context();
+  if (this.changes) this.changes.start();
+  this.ready(this.plan.bind(this));
+
+  this.emit('start');
+  return this;
+};
+
+/**
+ * Collector the probes are created with, it provides what the npm-probe probes
+ * use of the npm-probe collector: the registries in the catalog, the npm
+ * configuration, the registry changes and the statistics.
+ *
+ * @returns {Object} collector
+ * @api private
+ */
+Feed.prototype.context = function context() {
+  var changes = this.changes
+    , collector = {
+        registries: this.endpoints(),
+        options: { npm: this.config.npm },
+        calculate: Feed.calculate
+      };
+
+  Object.defineProperty(collector, 'feed', {
+    get: function get() {
+      return changes ? changes.list : [];
+    }
+  });
+
+  return collector;
+};
+
+/**
+ * Schedule the probes against the registries.
+ *
+ * @api private
+ */
+Feed.prototype.plan = function plan() {
+  var feed = this;
+
+  //
+  // Feed might have been stopped while the stored data was loaded.
+  //
+  if (!this.collector || this.jobs.length) return;
+
+  this.types().forEach(function each(type) {
+    var probe = new feed.probes[type](feed.collector);
+
+    if (!probe.name || !probe.spec || 'function' !== typeof probe.execute) return;
+
+    feed.targets(probe).forEach(function each(registry) {
+      feed.jobs.push(schedule.scheduleJob(probe.spec, function execute() {
+        probe.execute(
+          feed.collector.registries[registry],
+          feed.run(probe, registry)
+        );
+      }));
+    });
+  });
+};
+
+/**
+ * Callback of a probe run, the run is added to the log of runs and successful
+ * results are processed and cached. Runs that complete after the feed is
+ * stopped are ignored.
+ *
+ * @param {Probe} probe
+ * @param {String} registry Name of the registry.
+ * @returns {Function} callback
+ * @api private
+ */
+Feed.prototype.run = function run(probe, registry) {
+  var collector = this.collector
+    , cache = this.config.cache
+    , start = Date.now()
+    , feed = this;
+
+  return function done(error, results) {
+    var end = Date.now()
+      , data;
+
+    if (feed.collector !== collector) return;
+
+    feed.runs.add({
+      type: probe.name,
+      registry: registry,
+      start: start,
+      end: end,
+      results: results,
+      packages: feed.packages(probe),
+      error: error && error.message
+    });
+
+    if (error) return feed.failure(error);
+
+    //
+    // Clone the results, so the probe cannot change the processed data.
+    //
+    data = JSON.parse(JSON.stringify({
+      name: probe.name,
+      registry: registry,
+      results: results,
+      start: start,
+      end: end,
+      duration: end - start
+    }));
+
+    feed.push(data);
+
+    if (!cache || 'function' !== typeof cache.set) return;
+    cache.set([ registry, probe.name, start ].join('/'), data, function cached(error) {
+      if (error) feed.failure(error);
+    });
+  };
+};
+
+/**
+ * Names of the packages used by the probe: the test package that is published
+ * or the modules of the changes feed that are checked for replication lag.
+ *
+ * @param {Probe} probe
+ * @returns {Array} names
+ * @api private
+ */
+Feed.prototype.packages = function packages(probe) {
+  if (probe.module && probe.module.name) return [ probe.module.name +'@'+ probe.module.version ];
+  if (probe.name !== 'delta') return [];
+
+  return (this.changes && this.changes.list || []).map(function map(change) {
+    return change.id;
+  });
+};
+
+/**
+ * Call the function once the stored data is restored, loading is started if
+ * required.
+ *
+ * @param {Function} fn Completion callback.
+ * @returns {Feed} fluent interface
+ * @api public
+ */
+Feed.prototype.ready = function ready(fn) {
+  if (this.loaded) {
+    fn();
+    return this;
+  }
+
+  this.once('ready', fn);
+  if (!this.loading) this.restore();
+
+  return this;
+};
+
+/**
+ * Restore status and latest from the store and remove outdated points. Errors
+ * are emitted, the feed will continue without the stored data.
+ *
+ * @api private
+ */
+Feed.prototype.restore = function restore() {
+  var windows = this.windows()
+    , store = this.store
+    , feed = this;
+
+  this.loading = true;
+  store.load(function loaded(error, data) {
+    if (error) feed.failure(error);
+
+    data = data || {};
+    Object.keys(data.status || {}).forEach(function each(type) {
+      Object.keys(data.status[type]).forEach(function each(registry) {
+        if (!feed.catalog.has(registry)) return;
+
+        Storage.apply(feed.status, feed.latest, {
+          type: type,
+          registry: registry,
+          points: data.status[type][registry],
+          latest: (data.latest && data.latest[type] || {})[registry]
+        });
+
+        feed.prune(type, registry);
+      });
+    });
+
+    if ('function' === typeof store.compact) store.compact(windows, function done(error) {
+      if (error) feed.failure(error);
+    });
+
+    feed.loading = false;
+    feed.loaded = true;
+    feed.emit('ready');
+  });
+};
+
+/**
+ * Size of the time window in milliseconds per type, equals n * step or the
+ * retention if that is longer.
+ *
+ * @returns {Object} windows
+ * @api public
+ */
+Feed.prototype.windows = function windows() {
+  var options = this.options
+    , feed = this;
+
+  return this.types().reduce(function reduce(memo, type) {
+    memo[type] = Math.max(
+      (options[type].n || 120) * (options[type].step || 6E4),
+      feed.retention(type)
+    );
+
+    return memo;
+  }, {});
+};
+
+/**
+ * Milliseconds of history to keep for the type.
+ *
+ * @param {String} type Data type, e.g. ping.
+ * @returns {Number} retention
+ * @api private
+ */
+Feed.prototype.retention = function retention(type) {
+  var config = this.config.retention;
+
+  if ('number' === typeof config) return config;
+  return (config || {})[type] || 0;
+};
+
+/**
+ * Remove points outside the time window and keep at most n points, or the
+ * number of steps that fit in the retention.
+ *
+ * @param {String} type Data type, e.g. ping.
+ * @param {String} registry Name of the registry.
+ * @returns {Feed} fluent interface
+ * @api private
+ */
+Feed.prototype.prune = function prune(type, registry) {
+  var spec = this.options[type] || {}
+    , n = Math.max(spec.n || 120, Math.ceil(this.retention(type) / (spec.step || 6E4)))
+    , windows = {};
+
+  windows[type] = Math.max((spec.n || 120) * (spec.step || 6E4), this.retention(type));
+  Storage.prune(this.status, windows);
+
+  return this.set('status', type, registry, this.get('status', type, registry).slice(-n));
+};
+
+/**
+ * Stop probing the registries, collected data is kept.
+ *
+ * @returns {Feed} fluent interface
+ * @api public
+ */
+Feed.prototype.stop = function stop() {
+  if (!this.collector) return this;
+
+  this.jobs.forEach(function each(job) {
+    job.cancel();
+  });
+
+  if (this.changes) this.changes.stop();
+  this.collector = null;
+  this.jobs = [];
+
+  this.emit('stop');
+  return this;
+};
+
+/**
+ * Types of data that are probed, only types with chart options are used.
+ *
+ * @returns {Array} types
+ * @api public
+ */
+Feed.prototype.types = function types() {
+  var options = this.options;
+
+  return Object.keys(this.probes).filter(function filter(type) {
+    return type in options;
+  });
+};
+
+/**
+ * Names of the registries the probe should run against. Probes that target
+ * all default npm-probe registries will run against the complete catalog,
+ * others only against their listed registries if present in the catalog.
+ *
+ * @param {Probe} probe
+ * @returns {Array} registry names
+ * @api private
+ */
+Feed.prototype.targets = function targets(probe) {
+  var catalog = this.catalog
+    , list = probe.list || [];
+
+  if (Object.keys(defaults).every(function every(name) {
+    return ~list.indexOf(name);
+  })) return catalog.names();
+
+  return list.filter(catalog.has, catalog);
+};
+
+/**
+ * Url parsed endpoints of all registries in the catalog by name.
+ *
+ * @returns {Object} endpoints
+ * @api private
+ */
+Feed.prototype.endpoints = function endpoints() {
+  var catalog = this.catalog;
+
+  return catalog.names().reduce(function reduce(memo, name) {
+    var href = catalog.get(name).url;
+
+    if (!/^https?:\/\//.test(href)) href = 'http://'+ href;
+    if (href.charAt(href.length - 1) !== '/') href += '/';
+
+    memo[name] = url.parse(href);
+    return memo;
+  }, {});
+};
+
+/**
+ * Process the results of a probe run. The results of the interval are
+ * transformed and replace earlier points of the same interval in status.
+ *
+ * @param {Object} data Probe results as emitted by npm-probe.
+ * @returns {Feed} fluent interface
+ * @api private
+ */
+Feed.prototype.push = function push(data) {
+  var Probe = this.probes[data.name]
+    , feed = this
+    , raw, key, points, transformed, latest;
+
+  if (!Probe || !this.catalog.has(data.registry)) return this;
+
+  key = +Probe.group(data.start);
+  raw = this.get('raw', data.name, data.registry).concat(data);
+  raw = raw.filter(function filter(item, i) {
+    return +Probe.group(item.start) === key || i >= raw.length - Feed.tail;
+  });
+
+  //
+  // Transform with the same grouping as npm-probe, but use the feed's probe so
+  // replaced probes are transformed correctly.
+  //
+  transformed = Feed.group(Probe.group, Probe.transform, Probe.map)(raw).map(function map(point) {
+    point.t = +point.t;
+    return point;
+  });
+
+  points = transformed.filter(function filter(point) {
+    return point.t === key;
+  });
+
+  latest = Probe.latest(transformed, raw);
+
+  //
+  // Replace points of the current interval and keep at most n points.
+  //
+  this.set('raw', data.name, data.registry, raw);
+  this.set('latest', data.name, data.registry, latest);
+  this.set('status', data.name, data.registry, this.get('status', data.name, data.registry)
+    .filter(function filter(point) { return point.t !== key; })
+    .concat(points)
+  ).prune(data.name, data.registry);
+
+  //
+  // Persist the points of the interval.
+  //
+  if (this.store) this.store.save({
+    type: data.name,
+    registry: data.registry,
+    points: points,
+    latest: latest
+  }, function saved(error) {
+    if (error) feed.failure(error);
+  });
+
+  this.emit('data', {
+    data: {
+      name: data.name,
+      registry: data.registry,
+      results: points.length === 1 ? points[0] : points
+    },
+    latest: latest,
+    health: new Health(this.options).registry(this.latest, data.registry)
+  });
+
+  return this;
+};
+
+/**
+ * Get the data of the registry for the type from the collection.
+ *
+ * @param {String} collection raw, status or latest.
+ * @param {String} type Data type, e.g. ping.
+ * @param {String} registry Name of the registry.
+ * @returns {Mixed} data, defaults to an empty Array
+ * @api private
+ */
+Feed.prototype.get = function get(collection, type, registry) {
+  var data = this[collection][type] || {};
+  return registry in data ? data[registry] : [];
+};
+
+/**
+ * Set the data of the registry for the type in the collection.
+ *
+ * @param {String} collection raw, status or latest.
+ * @param {String} type Data type, e.g. ping.
+ * @param {String} registry Name of the registry.
+ * @param {Mixed} value
+ * @returns {Feed} fluent interface
+ * @api private
+ */
+Feed.prototype.set = function set(collection, type, registry, value) {
+  this[collection][type] = this[collection][type] || {};
+  this[collection][type][registry] = value;
+
+  return this;
+};
+
+/**
+ * Emit errors of the collector and probes, only if there are listeners so
+ * failing probes never crash the process.
+ *
+ * @param {Error} error
+ * @api private
+ */
+Feed.prototype.failure = function failure(error) {
+  if (this.listeners('error').length) this.emit('error', error);
+};
+
+//
+// Expose the feed.
+//
+module.exports = Feed;
@@ -0,0 +1,116 @@
+'use strict';
+
+/**
+ * Classify the health of registries from the latest measurements. Thresholds
+ * are read from the `health` option of each probe type, if degraded is lower
+ * than outage higher values are worse (ping, delta), otherwise lower values
+ * are worse (publish).
+ *
+ * @constructor
+ * @param {Object} options Chart options, see options.js.
+ * @api public
+ */
+function Health(options) {
+  this.options = options || {};
+}
+
+//
+// States ordered by severity.
+//
+Health.states = [ 'unknown', 'operational', 'degraded', 'outage' ];
+
+//
+// Textual measurements reported by the probes and their state.
+//
+Health.text = {
+  down: 'outage',
+  slow: 'degraded'
+};
+
+/**
+ * Classify a single measurement of the type.
+ *
+ * @param {String} type Data type, e.g. ping.
+ * @param {Mixed} value Latest measurement.
+ * @returns {String} state
+ * @api public
+ */
+Health.prototype.classify = function classify(type, value) {
+  var thresholds = (this.options[type] || {}).health;
+
+  if ('string' === typeof value && value in Health.text) return Health.text[value];
+  if ('number' !== typeof value || isNaN(value) || !thresholds) return 'unknown';
+
+  //
+  // Lower values are worse if the outage threshold is below degraded.
+  //
+  if (thresholds.outage < thresholds.degraded) {
+    if (value <= thresholds.outage) return 'outage';
+    if (value <= thresholds.degraded) return 'degraded';
+  } else {
+    if (value >= thresholds.outage) return 'outage';
+    if (value >= thresholds.degraded) return 'degraded';
+  }
+
+  return 'operational';
+};
+
+/**
+ * Get the most severe of the provided states.
+ *
+ * @param {Array} states
+ * @returns {String} state
+ * @api public
+ */
+Health.prototype.worst = function worst(states) {
+  return states.reduce(function reduce(memo, state) {
+    return Health.states.indexOf(state) > Health.states.indexOf(memo) ? state : memo;
+  }, 'unknown');
+};
+
+/**
+ * Classify the registry from the latest measurements of all types.
+ *
+ * @param {Object} latest Latest values as type.registry.value.
+ * @param {String} name Name of the registry.
+ * @returns {Object} state of the registry and per type
+ * @api public
+ */
+Health.prototype.registry = function registry(latest, name) {
+  var health = this
+    , types = {};
+
+  Object.keys(latest || {}).forEach(function each(type) {
+    if (!latest[type] || !(name in latest[type])) return;
+    types[type] = health.classify(type, latest[type][name]);
+  });
+
+  return {
+    state: this.worst(Object.keys(types).map(function map(type) {
+      return types[type];
+    })),
+    types: types
+  };
+};
+
+/**
+ * Classify all registries.
+ *
+ * @param {Object} latest Latest values as type.registry.value.
+ * @param {Array} names Names of the registries.
+ * @returns {Object} health per registry
+ * @api public
+ */
+Health.prototype.all = function all(latest, names) {
+  var health = this;
+
+  return names.reduce(function reduce(memo, name) {
+    memo[name] = health.registry(latest, name);
+    return memo;
+  }, {});
+};
+
+//
+// Expose the health model.
+//
+module.exports = Health;
@@ -1,8 +1,16 @@
 'use strict';
 
-var path = require('path')
+var url = require('url')
+  , path = require('path')
   , Pagelet = require('pagelet')
   , options = require('./options')
+  , Catalog = require('./catalog')
+  , Exporter = require('./exporter')
+  , Renderer = require('./render')
+  , Health = require('./health')
+  , Annotations = require('./annotations')
+  , Report = require('./report')
+  , Theme = require('./theme')
   , Collector = require('npm-probe');
 
 //
@@ -32,10 +40,18 @@ Pagelet.extend({
     '//cdnjs.cloudflare.com/ajax/libs/topojson/1.1.0/topojson.min.js'
   ],
 
+  //
+  // Methods that can be called from the client.
+  //
+  RPC: [ 'snapshot', 'sla', 'details' ],
+
   //
   // Keys of the data that should be supplied to the client.
   //
-  query: [ 'world', 'options', 'registries', 'status', 'marker', 'latest' ],
+  query: [
+    'world', 'options', 'locations', 'recent', 'marker', 'current', 'health',
+    'overlays', 'report', 'themes'
+  ],
 
   //
   // Load all the world data from JSON. This can be shipped with the actual pagelet
@@ -49,9 +65,16 @@ Pagelet.extend({
   marker: marker,
 
   //
-  // Registry data containing locations, IDs and human readable names.
+  // Registry data containing locations, IDs and human readable names. Provide
+  // a path to a JSON file or an Array of locations, see `registries.json`.
+  //
+  registries: path.join(__dirname, 'registries.json'),
+
+  //
+  // Validated registry locations of the catalog, set by `get` and supplied to
+  // the client.
   //
-  registries: require('./registries'),
+  locations: null,
 
   //
   // Collection of options that will be used to render the SVG pagelet.
@@ -66,12 +89,96 @@ Pagelet.extend({
   //
   status: null,
 
+  //
+  // Complete status, including data older than the time range of the charts.
+  // It is used for reports, exports and zooming, defaults to the status.
+  //
+  history: null,
+
+  //
+  // Status within the time range of the charts and the latest values, set by
+  // `get` and supplied to the client. Status and latest are never assigned as
+  // they can be getters, the same applies to the other options.
+  //
+  recent: null,
+  current: null,
+
   //
   // Most recent measurement/content to be displayed for each data type.
   // Object representation should follow pattern latest.type.registry.value.
   //
   latest: null,
 
+  //
+  // Incidents and maintenance displayed on the charts, provide an Array or
+  // Annotations instance, see annotations.js.
+  //
+  annotations: null,
+
+  //
+  // Annotations instance created from the annotations option by `get`, it is
+  // supplied to the client.
+  //
+  overlays: null,
+
+  //
+  // Uptime and SLA report per registry and window, computed by `get`.
+  //
+  report: null,
+
+  //
+  // Health state per registry, computed from latest by `get`.
+  //
+  health: null,
+
+  //
+  // Registry that is selected by default, the map and charts of this registry
+  // are rendered on the server, so the status is visible without JavaScript.
+  //
+  selected: 'npmjs',
+  prerender: true,
+
+  //
+  // Registry that is rendered, the selected registry or the first registry of
+  // the catalog if it is unknown, set by `get`.
+  //
+  active: null,
+
+  //
+  // Static SVG of the map and charts, rendered by `get` if prerender is enabled.
+  //
+  svg: '',
+
+  //
+  // Optional Feed instance that probes the registries, if provided it is used
+  // to populate status and latest when those are not supplied.
+  //
+  feed: null,
+
+  //
+  // Log of probe runs shown in the detail panel of a registry, a Runs instance
+  // see runs.js. Defaults to the runs of the feed.
+  //
+  runs: null,
+
+  //
+  // Colors of the map, markers, charts and heatmap. Provide the name of a named
+  // theme (light, dark, high-contrast or colorblind) or a theme object, see
+  // theme.js.
+  //
+  theme: 'light',
+
+  //
+  // Theme instance created from the theme option by `get`.
+  //
+  scheme: null,
+
+  //
+  // CSS custom properties of the named themes and the theme of the pagelet, the
+  // client switches between them without reloading.
+  //
+  themes: null,
+
   /**
    * Create backwards domain based on end and interval repeated n times.
    *
@@ -93,6 +200,16 @@ Pagelet.extend({
     return result;
   },
 
+  /**
+   * Get the validated catalog of the configured registries.
+   *
+   * @returns {Catalog}
+   * @api public
+   */
+  catalog: function catalog() {
+    return Catalog.from(this.registries);
+  },
+
   /**
    * Set option value by path.
    *
@@ -117,6 +234,73 @@ Pagelet.extend({
    * @api private
    */
   get: function get(next) {
+    var pagelet = this;
+
+    this.prepare(function prepared(error) {
+      if (error) return next(error);
+
+      //
+      // Render the static map and charts of the selected registry.
+      //
+      if (pagelet.prerender) pagelet.svg = new Renderer(pagelet).render(pagelet.active);
+
+      next(null, pagelet);
+    });
+  },
+
+  /**
+   * Prepare the data without the static SVG, the RPC methods and the export
+   * only need the data.
+   *
+   * @param {Function} next Completion callback.
+   * @api private
+   */
+  prepare: function prepare(next) {
+    var catalog;
+
+    if (this.feed && !this.feed.loaded) return this.feed.ready(this.prepare.bind(this, next));
+
+    //
+    // Expose the validated registry locations to the view and client, the
+    // options are kept as provided.
+    //
+    try { catalog = this.catalog(); }
+    catch (error) { return next(error); }
+
+    this.locations = catalog.locations;
+    this.active = catalog.has(this.selected) ? this.selected : catalog.names()[0];
+
+    try { this.overlays = Annotations.from(this.annotations); }
+    catch (error) { return next(error); }
+
+    try { this.scheme = Theme.from(this.theme); }
+    catch (error) { return next(error); }
+
+    this.themes = Object.keys(Theme.themes).reduce(function reduce(memo, name) {
+      memo[name] = Theme.from(name).variables();
+      return memo;
+    }, {});
+
+    this.themes[this.scheme.name] = this.scheme.variables();
+
+    try { this.domains(); }
+    catch (error) { return next(error); }
+
+    this.recent = this.windowed();
+    this.current = this.source('latest');
+    this.health = new Health(this.options).all(this.current, catalog.names());
+    this.report = new Report(this.timeline(), null, this.log()).windows(catalog.names());
+
+    next(null, this);
+  },
+
+  /**
+   * Set the x and y domains of the charts.
+   *
+   * @returns {Pagelet} fluent interface
+   * @api private
+   */
+  domains: function domains() {
     var now = Date.now()
       , options = this.options
       , end = new Date().setHours(23,59,59,999) + 1;
@@ -130,7 +314,11 @@ Pagelet.extend({
     // Set domains for delta chart, time serie equals 10 days.
     //
     this.set('delta.x.domain', this.range(end, options.delta.n / 4, options.delta.step));
-    this.set('delta.y.domain', Object.keys(Collector.probes.delta.intervals));
+    this.set('delta.buckets', this.buckets());
+    this.set('delta.y.domain', options.delta.buckets.map(function map(bucket) {
+      return bucket.name;
+    }));
+    this.set('delta.scale', this.shades());
 
     //
     // Set domains for the publish chart, time serie equals 10 days.
@@ -138,6 +326,285 @@ Pagelet.extend({
     this.set('publish.x.domain', this.range(end, options.publish.n / 2, options.publish.step));
     this.set('publish.y.domain', [0, 100]);
 
-    next(null, this);
+    //
+    // Probe types added with `chart` show a live time range, like the ping chart.
+    //
+    Object.keys(options).forEach(function each(type) {
+      var spec = options[type];
+
+      if (type in Collector.probes || !spec || !spec.visual) return;
+      this.set(type +'.x.domain', this.range(now, spec.n, spec.step));
+    }, this);
+
+    return this;
+  },
+
+  /**
+   * Get the validated buckets, the rows of the replication lag heatmap. Defaults
+   * to a bucket per interval of the npm-probe delta probe.
+   *
+   * @returns {Array} buckets
+   * @api private
+   */
+  buckets: function buckets() {
+    var list = this.options.delta.buckets
+      , names = {};
+
+    if (!list) list = Object.keys(Collector.probes.delta.intervals).map(function map(type) {
+      return { name: type };
+    });
+
+    if (!Array.isArray(list) || !list.length) {
+      throw new Error('[registry-status-pagelet] delta.buckets should be a non-empty array');
+    }
+
+    return list.map(function map(bucket, i) {
+      var at = 'delta.buckets['+ i +']';
+
+      if (!bucket || 'string' !== typeof bucket.name || !bucket.name || bucket.name in names) {
+        throw new Error('[registry-status-pagelet] '+ at +'.name should be a unique string');
+      }
+
+      if (bucket.types && !Array.isArray(bucket.types)) {
+        throw new Error('[registry-status-pagelet] '+ at +'.types should be an array of intervals');
+      }
+
+      names[bucket.name] = true;
+      return {
+        name: bucket.name,
+        label: bucket.label || bucket.name,
+        description: bucket.description || '',
+        types: bucket.types || [ bucket.name ]
+      };
+    });
+  },
+
+  /**
+   * Get the validated color scale of the replication lag heatmap.
+   *
+   * @returns {Object} type and domain of the scale
+   * @api private
+   */
+  shades: function shades() {
+    var scale = this.options.delta.scale || {}
+      , type = scale.type || 'linear'
+      , domain = scale.domain || [ 0, 100 ];
+
+    if (!~[ 'linear', 'log', 'quantile' ].indexOf(type)) {
+      throw new Error('[registry-status-pagelet] delta.scale.type should be one of: linear, log, quantile');
+    }
+
+    if (!Array.isArray(domain) || domain.length !== 2 || !(domain[0] >= 0) || !(domain[1] > domain[0])) {
+      throw new Error('[registry-status-pagelet] delta.scale.domain should be [lower, upper] counts');
+    }
+
+    return { type: type, domain: domain };
+  },
+
+  /**
+   * Get the status or latest values, the data of the feed is used if no custom
+   * data is provided.
+   *
+   * @param {String} key status or latest.
+   * @returns {Object} data
+   * @api private
+   */
+  source: function source(key) {
+    return this[key] || (this.feed && this.feed[key]) || {};
+  },
+
+  /**
+   * Get the log of probe runs, the runs of the feed are used if no custom log
+   * is provided.
+   *
+   * @returns {Runs} runs or null
+   * @api private
+   */
+  log: function log() {
+    return this.runs || (this.feed && this.feed.runs) || null;
+  },
+
+  /**
+   * Get the complete status, including data older than the time range of the
+   * charts.
+   *
+   * @returns {Object} status
+   * @api private
+   */
+  timeline: function timeline() {
+    return this.history || this.source('status');
+  },
+
+  /**
+   * Get the points of the history within the time range of the charts.
+   *
+   * @returns {Object} status
+   * @api private
+   */
+  windowed: function windowed() {
+    var data = this.exporter().filter();
+
+    return Object.keys(data).reduce(function reduce(memo, type) {
+      memo[type] = {};
+
+      Object.keys(data[type]).forEach(function each(registry) {
+        memo[type][registry] = data[type][registry].points;
+      });
+
+      return memo;
+    }, {});
+  },
+
+  /**
+   * Exporter of the complete history.
+   *
+   * @returns {Exporter}
+   * @api private
+   */
+  exporter: function exporter() {
+    return new Exporter({
+      status: this.timeline(),
+      latest: this.source('latest'),
+      options: this.options
+    });
+  },
+
+  /**
+   * Export the status and latest data, filtered by the query, to the client.
+   * The time range is not limited to the charts, so older data can be fetched.
+   *
+   * @param {Function} reply Completion callback.
+   * @param {Object} query Filters: registry, type, from and to.
+   * @api public
+   */
+  snapshot: function snapshot(reply, query) {
+    var pagelet = this;
+
+    this.prepare(function done(error) {
+      if (error) return reply(error.message);
+      reply(null, pagelet.exporter().filter(query));
+    });
+  },
+
+  /**
+   * Compute the uptime and SLA report for a custom time range.
+   *
+   * @param {Function} reply Completion callback.
+   * @param {Object} query Registry names, from and to.
+   * @api public
+   */
+  sla: function sla(reply, query) {
+    var pagelet = this;
+
+    query = query || {};
+    this.prepare(function done(error) {
+      if (error) return reply(error.message);
+
+      var report = new Report(pagelet.timeline(), +query.to || Date.now(), pagelet.log())
+        , from = +query.from || report.now - Report.windows['24h']
+        , catalog = pagelet.catalog()
+        , names = [].concat(query.registry || catalog.names()).filter(catalog.has, catalog);
+
+      reply(null, names.reduce(function reduce(memo, name) {
+        memo[name] = report.compute(name, from);
+        return memo;
+      }, {}));
+    });
+  },
+
+  /**
+   * Get the latest run per probe type and the failed runs of the registry for
+   * its detail panel.
+   *
+   * @param {Function} reply Completion callback.
+   * @param {String} name Name of the registry.
+   * @api public
+   */
+  details: function details(reply, name) {
+    var runs = this.log();
+
+    try { if (!this.catalog().has(name)) return reply('Unknown registry: '+ name); }
+    catch (error) { return reply(error.message); }
+
+    reply(null, runs ? runs.registry(name) : { latest: {}, failures: [] });
+  },
+
+  /**
+   * HTTP request handler that exports the data as JSON or CSV, the query
+   * string provides the format and filters, e.g.
+   * `?format=csv&registry=npmjs,nodejitsu&type=ping&from=1400000000000`.
+   *
+   * @param {Request} req HTTP request.
+   * @param {Response} res HTTP response.
+   * @api public
+   */
+  serve: function serve(req, res) {
+    var query = url.parse(req.url, true).query
+      , format = query.format || 'json'
+      , pagelet = this;
+
+    if (!(format in Exporter.formats)) {
+      res.statusCode = 400;
+      return res.end('Unsupported format: '+ format);
+    }
+
+    this.prepare(function done(error) {
+      if (error) {
+        res.statusCode = 500;
+        return res.end(error.message);
+      }
+
+      res.setHeader('Content-Type', Exporter.formats[format] +'; charset=utf-8');
+      res.end(pagelet.exporter()[format](query));
+    });
+  }
+}, {
+  /**
+   * Add a chart for a custom probe type, e.g. tarball download speed. The file
+   * is shipped with the client code and should register the visual of the
+   * chart with `Chart.visual`, built-in visuals need no file. Feed the probe
+   * results through a Feed with the options of the returned pagelet.
+   *
+   * @param {String} type Probe type, the key of the data in status and latest.
+   * @param {Object} spec Chart options like the ping options in options.js.
+   * @param {String} file Optional path of the client file of the visual.
+   * @returns {Pagelet} extended pagelet
+   * @api public
+   */
+  chart: function chart(type, spec, file) {
+    var prototype = this.prototype
+      , options = {}
+      , key;
+
+    if ('string' !== typeof type || !/^[\w-]+$/.test(type)) {
+      throw new Error('[registry-status-pagelet] type should be a string of letters, digits, - or _');
+    }
+
+    if (!spec || 'object' !== typeof spec) {
+      throw new Error('[registry-status-pagelet] options of the '+ type +' chart should be an object');
+    }
+
+    if (spec.visual !== undefined && ('string' !== typeof spec.visual || !/^[\w-]+$/.test(spec.visual))) {
+      throw new Error('[registry-status-pagelet] visual of the '+ type +' chart should be a string of letters, digits, - or _');
+    }
+
+    for (key in prototype.options) options[key] = prototype.options[key];
+
+    options[type] = {
+      title: spec.title || type,
+      visual: spec.visual || 'line',
+      key: spec.key || 'mean',
+      unit: spec.unit || '',
+      step: spec.step || 6E4,
+      n: spec.n || 120,
+      health: spec.health,
+      x: spec.x || { type: 'time', format: '%-H:%M', ticks: 4 },
+      y: spec.y || { grid: true, type: 'linear', ticks: 4 }
+    };
+
+    return this.extend({
+      options: options,
+      js: file ? [].concat(prototype.js, path.resolve(file)) : prototype.js
+    });
   }
 }).on(module);
\ No newline at end of file
@@ -7,8 +7,21 @@ module.exports = {
   animation: 1000,    // Amount of milliseconds an animation should take
   height: 324,        // Height of the widget in pixels
   width: 942,         // Width of the widget in pixels === grid.row.tencol
-  scale: 105,         // Relative scale of the map
   ratio: 0.58,        // Relative width of map
+  breakpoint: 768,    // Container width in pixels below which the map is stacked above the charts
+  cluster: 20,        // Distance in pixels within which map markers are clustered
+  stale: 3E5,         // Milliseconds without probe results after which the charts are stale
+
+  //
+  // Time ranges that can be picked for the charts, in milliseconds.
+  //
+  ranges: {
+    '1h': 36E5,
+    '6h': 216E5,
+    '24h': 864E5,
+    '7d': 6048E5,
+    '30d': 2592E6
+  },
 
   //
   // Margin of the chart section according to d3 margin conventions
@@ -30,6 +43,10 @@ module.exports = {
     unit: 'ms',
     step: 6E4,
     n: 120,
+    health: {         // Mean response time in milliseconds.
+      degraded: 2000,
+      outage: 10000
+    },
     x: {
       type: 'time',
       format: '%-H:%M',
@@ -52,6 +69,30 @@ module.exports = {
     key: 'lag',
     step: 864E5,
     n: 40,
+    health: {         // Replication lag in minutes.
+      degraded: 60,
+      outage: 1440
+    },
+
+    //
+    // Rows of the heatmap from bottom to top. Each bucket counts the modules of
+    // the listed intervals of the npm-probe delta probe, defaults to its name.
+    //
+    buckets: [
+      { name: 'none', label: 'in sync', description: 'Modules without lag', types: [ 'none' ] },
+      { name: 'minute', label: '≤ 1 min', description: 'Lag up to a minute', types: [ 'minute' ] },
+      { name: 'hour', label: '≤ 1 h', description: 'Lag up to an hour', types: [ 'hour' ] },
+      { name: 'day', label: '> 1 h', description: 'Lag of more than an hour', types: [ 'day⁺' ] }
+    ],
+
+    //
+    // Color scale of the number of modules per bucket: linear or log between
+    // the counts of the domain, or quantile of the counts in the time range.
+    //
+    scale: {
+      type: 'linear',
+      domain: [ 0, 100 ]
+    },
     x: {
       type: 'time',
       format: '%d',
@@ -73,6 +114,10 @@ module.exports = {
     key: 'percentage',
     step: 864E5,
     n: 20,
+    health: {         // Percentage of successful publishes, lower is worse.
+      degraded: 90,
+      outage: 50
+    },
     x: {
       type: 'time',
       format: '%d',
@@ -0,0 +1,916 @@
+'use strict';
+
+var Health = require('./health')
+  , Theme = require('./theme');
+
+//
+// Projections of the world per size, the countries do not depend on the data,
+// so they are only projected once for every size and world.
+//
+var projections = [];
+
+/**
+ * Render a static SVG representation of the map, registry markers and the
+ * charts of the selected registry. Layout follows client.js, so the client can
+ * replace the static elements once it has loaded.
+ *
+ * @constructor
+ * @param {Object} data Pagelet data with world, locations, recent status,
+ *   current latest values, marker and options.
+ * @api public
+ */
+function Renderer(data) {
+  this.data = data;
+  this.options = data.options || {};
+  this.world = data.world || { features: [] };
+  this.registries = data.locations || [];
+  this.status = data.recent || {};
+  this.latest = data.current || {};
+  this.marker = data.marker || '';
+  this.health = data.health || {};
+
+  this.scale = 1;
+  this.offset = [0, 0];
+  this.projection = this.projected((this.options.width || 0) * (this.options.ratio || 1), this.options.height || 0);
+}
+
+//
+// Maximum number of cached projections, see Renderer.prototype.projected.
+//
+Renderer.projections = 8;
+
+/**
+ * Escape text for usage in XML.
+ *
+ * @param {Mixed} value
+ * @returns {String} escaped text
+ * @api private
+ */
+Renderer.escape = function escape(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+/**
+ * Create an SVG element as string.
+ *
+ * @param {String} name Element name.
+ * @param {Object} attributes
+ * @param {String} content Optional inner content, should be escaped.
+ * @returns {String} element
+ * @api private
+ */
+Renderer.element = function element(name, attributes, content) {
+  var attrs = Object.keys(attributes || {}).filter(function filter(key) {
+    return attributes[key] !== undefined && attributes[key] !== null;
+  }).map(function map(key) {
+    return ' '+ key +'="'+ Renderer.escape(attributes[key]) +'"';
+  }).join('');
+
+  return '<'+ name + attrs +'>'+ (content || '') +'</'+ name +'>';
+};
+
+/**
+ * Format the time as d3.time.format would for the supported directives.
+ *
+ * @param {String} format e.g. %-H:%M
+ * @param {Number} t Timestamp
+ * @returns {String} formatted time
+ * @api private
+ */
+Renderer.time = function time(format, t) {
+  var date = new Date(+t)
+    , values = {
+        d: date.getDate(),
+        H: date.getHours(),
+        M: date.getMinutes(),
+        S: date.getSeconds(),
+        m: date.getMonth() + 1,
+        Y: date.getFullYear()
+      };
+
+  return format.replace(/%(-?)([dHMSmY])/g, function replace(match, nopad, key) {
+    var value = String(values[key]);
+    return nopad || value.length > 1 || key === 'Y' ? value : '0'+ value;
+  });
+};
+
+/**
+ * Nice linear ticks for the domain, uses the same algorithm as d3.
+ *
+ * @param {Array} domain
+ * @param {Number} count Approximate number of ticks.
+ * @returns {Array} ticks
+ * @api private
+ */
+Renderer.ticks = function ticks(domain, count) {
+  var span = domain[1] - domain[0]
+    , step, error, result = [], i;
+
+  if (!(span > 0)) return [ domain[0] ];
+
+  step = Math.pow(10, Math.floor(Math.log(span / count) / Math.LN10));
+  error = count / span * step;
+
+  if (error <= .15) step *= 10;
+  else if (error <= .35) step *= 5;
+  else if (error <= .75) step *= 2;
+
+  for (i = Math.ceil(domain[0] / step) * step; i <= domain[1] + step * 1E-10; i += step) {
+    result.push(Math.round(i * 1E10) / 1E10);
+  }
+
+  return result;
+};
+
+/**
+ * Time ticks aligned to local time for the domain.
+ *
+ * @param {Array} domain
+ * @param {Number} count Approximate number of ticks.
+ * @returns {Array} ticks
+ * @api private
+ */
+Renderer.times = function times(domain, count) {
+  var span = domain[1] - domain[0]
+    , offset = new Date(domain[0]).getTimezoneOffset() * 6E4
+    , step = Renderer.intervals.filter(function filter(interval) {
+        return interval >= span / count;
+      })[0] || span / count
+    , result = []
+    , t;
+
+  for (t = Math.ceil((domain[0] - offset) / step) * step + offset; t <= domain[1]; t += step) {
+    result.push(t);
+  }
+
+  return result;
+};
+
+//
+// Visuals that can be rendered.
+//
+Renderer.visuals = [ 'line', 'bar', 'heatmap' ];
+
+//
+// Steps between data points after which the line is broken, see Chart.gap.
+//
+Renderer.gap = 1.5;
+
+//
+// Intervals in milliseconds used for time ticks.
+//
+Renderer.intervals = [ 6E4, 3E5, 9E5, 18E5, 36E5, 108E5, 216E5, 432E5, 864E5, 1728E5, 6048E5 ];
+
+/**
+ * Project longitude and latitude with the mercator projection, similar to
+ * d3.geo.mercator with the fitted scale.
+ *
+ * @param {Array} lonlat
+ * @param {Array} offset Translation in pixels, defaults to the map offset.
+ * @returns {Array} x and y in pixels
+ * @api public
+ */
+Renderer.prototype.project = function project(lonlat, offset) {
+  var lat = Math.max(-85, Math.min(85, lonlat[1])) * Math.PI / 180;
+
+  offset = offset || this.offset;
+  return [
+    lonlat[0] * Math.PI / 180 * this.scale + offset[0],
+    -Math.log(Math.tan(Math.PI / 4 + lat / 2)) * this.scale + offset[1]
+  ];
+};
+
+/**
+ * Fit the world in the provided dimensions and center it, equal to the fit of
+ * the projection in client.js.
+ *
+ * @param {Number} width
+ * @param {Number} height
+ * @returns {Renderer} fluent interface
+ * @api private
+ */
+Renderer.prototype.fit = function fit(width, height) {
+  var renderer = this
+    , min = [ Infinity, Infinity ]
+    , max = [ -Infinity, -Infinity ]
+    , scale;
+
+  this.scale = 1;
+  this.polygons().forEach(function each(ring) {
+    ring.forEach(function each(lonlat) {
+      var xy = renderer.project(lonlat, [0, 0]);
+
+      min = [ Math.min(min[0], xy[0]), Math.min(min[1], xy[1]) ];
+      max = [ Math.max(max[0], xy[0]), Math.max(max[1], xy[1]) ];
+    });
+  });
+
+  if (!isFinite(max[0] - min[0]) || !width || !height) return this;
+
+  scale = Math.min(width / (max[0] - min[0]), height / (max[1] - min[1]));
+
+  this.scale = scale;
+  this.offset = [
+    (width - scale * (max[0] + min[0])) / 2,
+    (height - scale * (max[1] + min[1])) / 2
+  ];
+
+  return this;
+};
+
+/**
+ * Get the projection of the world for the size, the world is only fitted if
+ * the projection is not cached. The projected countries are added to the
+ * projection by `map`.
+ *
+ * @param {Number} width
+ * @param {Number} height
+ * @returns {Object} projection with world, width, height, scale, offset and
+ *   countries
+ * @api private
+ */
+Renderer.prototype.projected = function projected(width, height) {
+  var world = this.world
+    , projection = projections.filter(function filter(projection) {
+        return projection.world === world
+          && projection.width === width
+          && projection.height === height;
+      })[0];
+
+  if (!projection) {
+    this.fit(width, height);
+
+    projection = { world: world, width: width, height: height, scale: this.scale, offset: this.offset, countries: null };
+    projections.push(projection);
+    projections.splice(0, projections.length - Renderer.projections);
+  }
+
+  this.scale = projection.scale;
+  this.offset = projection.offset;
+
+  return projection;
+};
+
+/**
+ * All outer and inner rings of the world features.
+ *
+ * @param {Object} feature Optional single feature.
+ * @returns {Array} rings
+ * @api private
+ */
+Renderer.prototype.polygons = function polygons(feature) {
+  var features = feature ? [ feature ] : this.world.features;
+
+  return features.reduce(function reduce(rings, feature) {
+    var geometry = feature.geometry || {}
+      , coordinates = geometry.type === 'Polygon' ? [ geometry.coordinates ] : geometry.coordinates;
+
+    (coordinates || []).forEach(function each(polygon) {
+      Array.prototype.push.apply(rings, polygon);
+    });
+
+    return rings;
+  }, []);
+};
+
+/**
+ * SVG path of a feature.
+ *
+ * @param {Object} feature GeoJSON feature.
+ * @returns {String} path
+ * @api private
+ */
+Renderer.prototype.path = function path(feature) {
+  var renderer = this;
+
+  return this.polygons(feature).map(function map(ring) {
+    return 'M'+ ring.map(function map(lonlat) {
+      return renderer.project(lonlat).map(function round(n) {
+        return Math.round(n * 10) / 10;
+      }).join(',');
+    }).join('L') +'Z';
+  }).join('');
+};
+
+/**
+ * Attributes of the svg root element, equal to transform in client.js.
+ *
+ * @param {String} className
+ * @param {Number} width
+ * @param {Number} height
+ * @returns {Object} attributes
+ * @api private
+ */
+Renderer.prototype.root = function root(className, width, height) {
+  return {
+    'class': className +' static',
+    xmlns: 'http://www.w3.org/2000/svg',
+    width: width,
+    height: height,
+    viewBox: [0, 0, width, height].join(' '),
+    preserveAspectRatio: 'xMinYMin meet'
+  };
+};
+
+/**
+ * Render the map with countries and registry markers.
+ *
+ * @param {String} selected Name of the selected registry.
+ * @returns {String} SVG
+ * @api public
+ */
+Renderer.prototype.map = function map(selected) {
+  var options = this.options
+    , renderer = this
+    , countries, markers;
+
+  countries = this.projection.countries = this.projection.countries || this.world.features.map(function each(feature) {
+    var properties = feature.properties || {};
+
+    return Renderer.element('path', {
+      'class': [ properties.name, properties.continent ].map(function map(name) {
+        return String(name || '').toLowerCase().replace(/\s/g, '-');
+      }).join(' '),
+      d: renderer.path(feature)
+    });
+  }).join('');
+
+  markers = this.registries.map(function each(location) {
+    var names = location.registries.map(function map(registry) {
+          return registry.name;
+        })
+      , state = new Health().worst(names.map(function map(name) {
+          return (renderer.health[name] || {}).state || 'unknown';
+        }))
+      , xy = renderer.project(location.lonlat);
+
+    return Renderer.element('path', {
+      'class': names.concat(state).join(' ') + (~names.indexOf(selected) ? ' highlight' : ''),
+      d: renderer.marker,
+      transform: 'translate('+ [ xy[0] - 21 / 2, xy[1] - 26 ].join() +')'
+    }, Renderer.element('title', {}, Renderer.escape(location.registries.map(function map(registry) {
+      return registry.display;
+    }).join(', '))));
+  }).join('');
+
+  return Renderer.element('svg', this.root('map', options.width * options.ratio, options.height),
+    Renderer.element('g', { 'class': 'countries' }, countries) +
+    Renderer.element('g', { 'class': 'registries' }, markers)
+  );
+};
+
+/**
+ * Render the charts of the selected registry.
+ *
+ * @param {String} selected Name of the selected registry.
+ * @returns {String} SVG
+ * @api public
+ */
+Renderer.prototype.charts = function charts(selected) {
+  var options = this.options
+    , margin = options.margin || { top: 0, right: 0, bottom: 0, left: 0 }
+    , width = options.width * (1 - options.ratio)
+    , height = Math.round(options.height / 5)
+    , renderer = this
+    , i = 0
+    , content = '';
+
+  Object.keys(this.status).forEach(function each(type) {
+    var data = renderer.status[type][selected]
+      , vertical = i * (height + margin.bottom * 2);
+
+    if (!data || !options[type]) return;
+
+    i++;
+    content += Renderer.element('g', {
+      'class': 'type '+ type +':'+ selected,
+      transform: 'translate('+ [ margin.left, vertical ].join() +')'
+    }, renderer.chart(type, selected, data, (renderer.latest[type] || {})[selected], {
+      width: width - margin.left - margin.right,
+      height: height
+    }));
+  });
+
+  //
+  // Registries without data show a placeholder until their first result.
+  //
+  if (!content) content = Renderer.element('text', {
+    'class': 'placeholder',
+    x: Math.round((width - 10) / 2),
+    y: Math.round(options.height / 2),
+    'text-anchor': 'middle'
+  }, 'No data yet');
+
+  //
+  // Charts of custom probe types are added below, grow the SVG to fit them.
+  //
+  return Renderer.element('svg', this.root('charts', width - 10, Math.max(
+    options.height,
+    i * (height + margin.bottom * 2) + margin.top
+  )),
+    Renderer.element('g', {
+      'class': 'registry show '+ selected,
+      transform: 'translate(0,'+ margin.top +')'
+    }, content)
+  );
+};
+
+/**
+ * Render a single chart with statistics, axes and the data serie.
+ *
+ * @param {String} type Data type, e.g. ping.
+ * @param {String} name Name of the registry.
+ * @param {Array} data Data points.
+ * @param {Mixed} latest Most recent measurement.
+ * @param {Object} size Width and height of the chart.
+ * @returns {String} SVG
+ * @api private
+ */
+Renderer.prototype.chart = function chart(type, name, data, latest, size) {
+  var spec = this.options[type]
+    , ratio = this.options.ratio
+    , width = Math.round(size.width * ratio)
+    , height = size.height
+    , key = spec.key || 'mean'
+    , renderer = this
+    , x = this.linear(spec.x.domain || [ Date.now() - spec.n * spec.step, Date.now() ], [0, width])
+    , y, visual, stats, clip;
+
+  if (spec.y.type === 'ordinal') {
+    y = this.ordinal(spec.y.domain || [], [height, 0]);
+  } else {
+    y = this.linear(spec.y.domain || [0, Math.max.apply(Math, data.map(function map(d) {
+      return d.values[key] || 0;
+    }).concat(1))], [height, 0]);
+  }
+
+  stats = Renderer.element('g', { 'class': 'stats', transform: 'translate(0,10)' }, [
+    this.text(spec.title, 'title', [120, 0]),
+    this.text(spec.unit, 'unit', [120, 60]),
+    this.text('number' === typeof latest ? Math.round(latest) : latest, 'value', [120, 40]),
+    spec.visual === 'heatmap' ? this.legend(this.shades(this.cells(data, spec), spec), spec) : ''
+  ].join(''));
+
+  //
+  // Only built-in visuals are rendered, custom visuals are drawn as line until
+  // the client has loaded.
+  //
+  visual = ~Renderer.visuals.indexOf(spec.visual) ? spec.visual : 'line';
+
+  //
+  // Clip the serie to the drawable area, the id is prefixed as the client will
+  // use the chart name as id, and with the pagelet id as multiple pagelets can
+  // be on the same page.
+  //
+  clip = 'static-'+ (this.data.id ? this.data.id +'-' : '') + type +'-'+ name;
+
+  return stats + Renderer.element('g', {
+    'class': 'chart',
+    transform: 'translate('+ size.width * (1 - ratio) +',0)'
+  }, [
+    Renderer.element('defs', {}, Renderer.element('clipPath', { id: clip }, Renderer.element('rect', {
+      width: width - 1,
+      height: height - 1
+    }))),
+    this.axis(spec.x, x, width, height, true),
+    this.axis(spec.y, y, width, height, false, spec.buckets && function format(name) {
+      return (renderer.bucket(spec, name) || { label: name }).label;
+    }),
+    Renderer.element('g', { 'clip-path': 'url(#'+ clip +')' }, this[visual](data, x, y, {
+      width: width,
+      height: height,
+      key: key,
+      spec: spec
+    }))
+  ].join(''));
+};
+
+/**
+ * Create a linear scale function.
+ *
+ * @param {Array} domain
+ * @param {Array} range
+ * @returns {Function} scale
+ * @api private
+ */
+Renderer.prototype.linear = function linear(domain, range) {
+  var d0 = +domain[0]
+    , d1 = +domain[domain.length - 1];
+
+  function scale(value) {
+    return range[0] + (+value - d0) / ((d1 - d0) || 1) * (range[1] - range[0]);
+  }
+
+  scale.domain = [ d0, d1 ];
+  return scale;
+};
+
+/**
+ * Create an ordinal scale function with round bands.
+ *
+ * @param {Array} domain
+ * @param {Array} range
+ * @returns {Function} scale
+ * @api private
+ */
+Renderer.prototype.ordinal = function ordinal(domain, range) {
+  var reverse = range[1] < range[0]
+    , start = Math.min(range[0], range[1])
+    , step = Math.floor(Math.abs(range[1] - range[0]) / (domain.length || 1));
+
+  function scale(value) {
+    var i = domain.indexOf(value);
+
+    i = ~i ? i : 0;
+    return start + (reverse ? domain.length - 1 - i : i) * step;
+  }
+
+  scale.domain = domain;
+  scale.band = step;
+  scale.ordinal = true;
+  return scale;
+};
+
+/**
+ * Render the axis with ticks and optional grid lines.
+ *
+ * @param {Object} spec Axis options.
+ * @param {Function} scale
+ * @param {Number} width Width of the chart.
+ * @param {Number} height Height of the chart.
+ * @param {Boolean} horizontal Render the x-axis.
+ * @param {Function} format Optional label of the tick.
+ * @returns {String} SVG
+ * @api private
+ */
+Renderer.prototype.axis = function axis(spec, scale, width, height, horizontal, format) {
+  var ticks = scale.ordinal
+        ? scale.domain
+        : spec.type === 'time'
+          ? Renderer.times(scale.domain, spec.ticks || 4)
+          : Renderer.ticks(scale.domain, spec.ticks || 4)
+    , grid = ''
+    , content;
+
+  content = Renderer.element('path', {
+    'class': 'domain',
+    d: horizontal ? 'M0,6V0H'+ width +'V6' : 'M6,'+ height +'H0V0H6'
+  }) + ticks.map(function map(tick) {
+    var position = Math.round(scale(tick) + (scale.band || 0) / 2)
+      , label = spec.type === 'time' && spec.format ? Renderer.time(spec.format, tick) : tick;
+
+    if (format) label = format(tick);
+
+    if (spec.grid) grid += Renderer.element('line', {
+      'class': 'grid '+ (horizontal ? 'x' : 'y'),
+      x1: horizontal ? position : 0,
+      x2: horizontal ? position : width,
+      y1: horizontal ? 0 : position,
+      y2: horizontal ? height : position
+    });
+
+    return Renderer.element('g', {
+      'class': 'tick',
+      transform: 'translate('+ (horizontal ? [position, 0] : [0, position]).join() +')'
+    }, Renderer.element('line', horizontal ? { y2: 6 } : { x2: 6 }) + Renderer.element('text', {
+      x: horizontal ? 0 : 9,
+      y: horizontal ? 9 : 0,
+      dy: horizontal ? '.71em' : '.32em',
+      'text-anchor': horizontal ? 'middle' : 'start'
+    }, Renderer.escape(label)));
+  }).join('');
+
+  return grid + Renderer.element('g', {
+    'class': (horizontal ? 'x' : 'y') +' axis',
+    transform: horizontal ? 'translate(0,'+ height +')' : 'translate('+ width +',0)'
+  }, content);
+};
+
+/**
+ * Render text aligned to the right.
+ *
+ * @param {Mixed} value
+ * @param {String} className
+ * @param {Array} translate
+ * @returns {String} SVG
+ * @api private
+ */
+Renderer.prototype.text = function text(value, className, translate) {
+  return Renderer.element('text', {
+    'class': className,
+    transform: 'translate('+ translate.join() +')',
+    'text-anchor': 'end'
+  }, Renderer.escape(value));
+};
+
+/**
+ * Render the data as line.
+ *
+ * @param {Array} data Data points.
+ * @param {Function} x Time scale.
+ * @param {Function} y Unit scale.
+ * @param {Object} options Width, height and key of the chart.
+ * @returns {String} SVG
+ * @api private
+ */
+Renderer.prototype.line = function line(data, x, y, options) {
+  var max = (options.spec.step || 6E4) * Renderer.gap
+    , previous
+    , path;
+
+  //
+  // Move to points that are more than Renderer.gap steps after the previous
+  // point, so missed probes are shown as break in the line.
+  //
+  path = data.slice().sort(function sort(a, b) {
+    return a.t - b.t;
+  }).map(function map(d) {
+    var command = previous === undefined || d.t - previous > max ? 'M' : 'L';
+
+    previous = d.t;
+    return command + [ x(d.t), y(d.values[options.key] || 0) ].map(Math.round).join(',');
+  }).join('');
+
+  if (!path) return '';
+  return Renderer.element('path', { 'class': 'line', d: path });
+};
+
+/**
+ * Render the data as stacked bars.
+ *
+ * @param {Array} data Data points.
+ * @param {Function} x Time scale.
+ * @param {Function} y Unit scale.
+ * @param {Object} options Width, height and key of the chart.
+ * @returns {String} SVG
+ * @api private
+ */
+Renderer.prototype.bar = function bar(data, x, y, options) {
+  var width = Math.round(options.width / options.spec.x.ticks) - 1;
+
+  function height(value) {
+    return options.height - y(value || 0);
+  }
+
+  return data.map(function map(d) {
+    return Renderer.element('rect', {
+      'class': 'stack '+ d.values.type,
+      width: width,
+      x: Math.round(x(d.t)),
+      y: Math.round(y(d.values[options.key] || 0) - height(d.values.lower)),
+      height: Math.round(height(d.values[options.key]))
+    });
+  }).join('');
+};
+
+/**
+ * Render the data as heatmap, a row per bucket of the replication lag.
+ *
+ * @param {Array} data Data points.
+ * @param {Function} x Time scale.
+ * @param {Function} y Ordinal scale.
+ * @param {Object} options Width, height and key of the chart.
+ * @returns {String} SVG
+ * @api private
+ */
+Renderer.prototype.heatmap = function heatmap(data, x, y, options) {
+  var width = Math.round(options.width / options.spec.x.ticks)
+    , height = y.band || options.height / options.spec.y.ticks
+    , cells = this.cells(data, options.spec)
+    , shade = this.shades(cells, options.spec);
+
+  return cells.map(function map(d) {
+    return Renderer.element('rect', {
+      'class': 'heatmap hecta-'+ shade(d.values.n),
+      rx: 2,
+      ry: 2,
+      width: width,
+      height: height,
+      x: Math.round(x(d.t)),
+      y: Math.round(y(d.values.type))
+    });
+  }).join('');
+};
+
+/**
+ * Get the bucket of the heatmap by name.
+ *
+ * @param {Object} spec Chart options.
+ * @param {String} name
+ * @returns {Object} bucket or undefined if unknown.
+ * @api private
+ */
+Renderer.prototype.bucket = function bucket(spec, name) {
+  return (spec.buckets || []).filter(function filter(bucket) {
+    return bucket.name === name;
+  })[0];
+};
+
+/**
+ * Combine the data points per step into a cell per bucket, like client.js.
+ *
+ * @param {Array} data Data points.
+ * @param {Object} spec Chart options.
+ * @returns {Array} cells
+ * @api private
+ */
+Renderer.prototype.cells = function cells(data, spec) {
+  var key = spec.key || 'mean'
+    , index = {};
+
+  if (!spec.buckets) return data;
+
+  return data.reduce(function reduce(memo, d) {
+    var bucket = spec.buckets.filter(function filter(bucket) {
+          return ~bucket.types.indexOf(d.values.type);
+        })[0]
+      , id;
+
+    if (!bucket) return memo;
+
+    id = +d.t +':'+ bucket.name;
+    if (!(id in index)) memo.push(index[id] = { t: d.t, values: { type: bucket.name, n: 0 } });
+
+    index[id].values.n += d.values.n || 0;
+    index[id].values[key] = Math.max(index[id].values[key] || 0, d.values[key] || 0);
+    return memo;
+  }, []);
+};
+
+/**
+ * Get the function that maps the number of modules to a shade, uses the same
+ * scales as d3: linear, log or quantile.
+ *
+ * @param {Array} cells
+ * @param {Object} spec Chart options.
+ * @returns {Function} shade, extent returns the counts of a shade.
+ * @api private
+ */
+Renderer.prototype.shades = function shades(cells, spec) {
+  var options = spec.scale || {}
+    , domain = options.domain || [ 0, 100 ]
+    , top = Theme.shades - 1
+    , counts, thresholds, shade, i;
+
+  /**
+   * Clamp the shade between the lightest and darkest shade.
+   *
+   * @param {Number} value
+   * @returns {Number} shade
+   */
+  function clamp(value) {
+    return Math.max(0, Math.min(top, value));
+  }
+
+  if (options.type === 'quantile') {
+    counts = cells.map(function map(d) { return d.values.n; }).sort(function sort(a, b) {
+      return a - b;
+    });
+
+    if (!counts.length) counts = [ 0 ];
+
+    for (thresholds = [], i = 1; i < Theme.shades; i++) {
+      thresholds.push(this.quantile(counts, i / Theme.shades));
+    }
+
+    shade = function quantile(n) {
+      return thresholds.filter(function filter(threshold) { return threshold <= n; }).length;
+    };
+
+    shade.extent = function extent(i) {
+      return [
+        i > 0 ? thresholds[i - 1] : counts[0],
+        i < thresholds.length ? thresholds[i] : counts[counts.length - 1]
+      ];
+    };
+
+    return shade;
+  }
+
+  if (options.type === 'log') {
+    shade = function log(n) {
+      var base = (domain[1] + 1) / (domain[0] + 1);
+      return clamp(Math.round(Math.log((n + 1) / (domain[0] + 1)) / Math.log(base) * top));
+    };
+
+    shade.extent = function extent(i) {
+      return [ i - .5, i + .5 ].map(function map(value) {
+        return (domain[0] + 1) * Math.pow((domain[1] + 1) / (domain[0] + 1), clamp(value) / top) - 1;
+      });
+    };
+  } else {
+    shade = function linear(n) {
+      return clamp(Math.round((n - domain[0]) / (domain[1] - domain[0]) * top));
+    };
+
+    shade.extent = function extent(i) {
+      return [ i - .5, i + .5 ].map(function map(value) {
+        return domain[0] + clamp(value) / top * (domain[1] - domain[0]);
+      });
+    };
+  }
+
+  shade.open = true;
+  return shade;
+};
+
+/**
+ * Get the quantile of the sorted values, uses the same method as d3.quantile.
+ *
+ * @param {Array} values Sorted numbers.
+ * @param {Number} p Probability between 0 and 1.
+ * @returns {Number} quantile
+ * @api private
+ */
+Renderer.prototype.quantile = function quantile(values, p) {
+  var h = (values.length - 1) * p + 1
+    , i = Math.floor(h)
+    , v = values[i - 1]
+    , e = h - i;
+
+  return e ? v + e * (values[i] - v) : v;
+};
+
+//
+// Units of the period of a step, the largest unit that divides the step is used.
+//
+Renderer.periods = [ [ 864E5, 'day' ], [ 36E5, 'hour' ], [ 6E4, 'minute' ], [ 1E3, 'second' ] ];
+
+/**
+ * Describe the step as period, e.g. day or 6 hours, like client.js.
+ *
+ * @param {Number} step Step size in milliseconds.
+ * @returns {String} period
+ * @api private
+ */
+Renderer.prototype.period = function period(step) {
+  var unit = Renderer.periods.filter(function filter(unit) {
+        return step % unit[0] === 0;
+      })[0] || Renderer.periods[Renderer.periods.length - 1]
+    , n = Math.round(step / unit[0]);
+
+  return n === 1 ? unit[1] : n +' '+ unit[1] +'s';
+};
+
+/**
+ * Render the legend of the heatmap below the statistics, like client.js.
+ *
+ * @param {Function} shade Result of Renderer.prototype.shades.
+ * @param {Object} spec Chart options.
+ * @returns {String} SVG
+ * @api private
+ */
+Renderer.prototype.legend = function legend(shade, spec) {
+  var top = Theme.shades - 1
+    , unit = ' modules per '+ this.period(spec.step || 6E4)
+    , size = 10
+    , swatches = ''
+    , extent
+    , i;
+
+  for (i = 0; i < Theme.shades; i++) {
+    extent = shade.extent(i).map(Math.round);
+    swatches += Renderer.element('rect', {
+      'class': 'heatmap hecta-'+ i,
+      x: i * size,
+      width: size,
+      height: size
+    }, Renderer.element('title', {}, shade.open && i === top
+      ? extent[0] +'+'+ unit
+      : extent[0] +'–'+ extent[1] + unit
+    ));
+  }
+
+  return Renderer.element('g', {
+    'class': 'legend shades',
+    transform: 'translate('+ (120 - Theme.shades * size) +',68)'
+  }, swatches + [
+    Renderer.element('text', { 'class': 'lower', y: 20 }, String(Math.round(shade.extent(0)[0]))),
+    Renderer.element('text', {
+      'class': 'upper',
+      x: Theme.shades * size,
+      y: 20,
+      'text-anchor': 'end'
+    }, Math.round(shade.extent(top)[1]) + (shade.open ? '+' : '') +' modules')
+  ].join(''));
+};
+
+/**
+ * Render the map and charts of the selected registry.
+ *
+ * @param {String} selected Name of the selected registry.
+ * @returns {String} SVG
+ * @api public
+ */
+Renderer.prototype.render = function render(selected) {
+  return this.map(selected) + this.charts(selected);
+};
+
+//
+// Expose the renderer.
+//
+module.exports = Renderer;
@@ -0,0 +1,241 @@
+'use strict';
+
+/**
+ * Uptime and SLA report per registry: uptime percentage and response time
+ * percentiles from ping, the mean replication lag from delta and the success
+ * rate from publish. The outcomes of the probe runs are used if available, see
+ * runs.js, otherwise the status history is used.
+ *
+ * @constructor
+ * @param {Object} status Time series as status.type.registry[{ t, values }].
+ * @param {Number} now Optional reference time, defaults to now.
+ * @param {Runs} runs Optional log of probe runs.
+ * @api public
+ */
+function Report(status, now, runs) {
+  this.status = status || {};
+  this.now = now || Date.now();
+  this.runs = runs || null;
+}
+
+//
+// Default report windows in milliseconds.
+//
+Report.windows = {
+  '24h': 864E5,
+  '7d': 6048E5,
+  '30d': 2592E6
+};
+
+/**
+ * Get the points of the registry for the type within the time range.
+ *
+ * @param {String} type Data type, e.g. ping.
+ * @param {String} registry Name of the registry.
+ * @param {Number} from Start of the range.
+ * @param {Number} to End of the range.
+ * @returns {Array} points
+ * @api private
+ */
+Report.prototype.points = function points(type, registry, from, to) {
+  return ((this.status[type] || {})[registry] || []).filter(function filter(point) {
+    return point && point.values && +point.t >= from && +point.t <= to;
+  });
+};
+
+/**
+ * Get the outcomes of the registry for the type within the time range as
+ * `{ t, n, failed, values }`, values are response times and replication lag in
+ * minutes. Outcomes of the runs are used for the hours they cover, every point
+ * of the status before the first hour of the runs is an outcome, so history
+ * that is restored after a restart is still used.
+ *
+ * @param {String} type Data type, e.g. ping.
+ * @param {String} registry Name of the registry.
+ * @param {Number} from Start of the range.
+ * @param {Number} to End of the range.
+ * @returns {Array} outcomes
+ * @api private
+ */
+Report.prototype.outcomes = function outcomes(type, registry, from, to) {
+  var series = this.runs ? this.runs.series(type, registry, from, to) : []
+    , start = series.length ? series[0].t : Infinity
+    , days = {}
+    , runs;
+
+  runs = series.map(function map(hour) {
+    return {
+      t: hour.t,
+      n: hour.n,
+      failed: hour.failed,
+      values: type !== 'delta' ? hour.values : hour.values.map(function minutes(lag) {
+        return Math.round(lag / 6E4);
+      })
+    };
+  });
+
+  return this.points(type, registry, from, Math.min(to, start - 1)).reduce(function reduce(memo, point) {
+    var values = point.values
+      , n = values.n || 0;
+
+    switch (type) {
+      //
+      // A ping with mean 0 or a textual value means the registry was down, the
+      // points of the feed are moving averages so failed pings are missed.
+      //
+      case 'ping':
+        if ('number' === typeof values.mean && values.mean > 0) {
+          memo.push({ t: +point.t, n: 1, failed: 0, values: [ values.mean ] });
+        } else memo.push({ t: +point.t, n: 1, failed: 1, values: [] });
+      break;
+
+      //
+      // Replication lag is stored per interval bucket, all buckets of a day
+      // share the same lag, so use each day once.
+      //
+      case 'delta':
+        if (point.t in days || 'number' !== typeof values.lag) break;
+
+        days[point.t] = true;
+        memo.push({ t: +point.t, n: 1, failed: 0, values: [ values.lag ] });
+      break;
+
+      //
+      // Publish results are stored as success and failure counts per day.
+      //
+      case 'publish':
+        memo.push({ t: +point.t, n: n, failed: values.type === 'success' ? 0 : n, values: [] });
+      break;
+    }
+
+    return memo;
+  }, []).concat(runs);
+};
+
+/**
+ * Sum the property of the outcomes.
+ *
+ * @param {Array} outcomes
+ * @param {String} key n or failed.
+ * @returns {Number} sum
+ * @api private
+ */
+Report.prototype.sum = function sum(outcomes, key) {
+  return outcomes.reduce(function reduce(memo, outcome) {
+    return memo + outcome[key];
+  }, 0);
+};
+
+/**
+ * Values of the outcomes sorted ascending.
+ *
+ * @param {Array} outcomes
+ * @returns {Array} values
+ * @api private
+ */
+Report.prototype.values = function values(outcomes) {
+  return outcomes.reduce(function reduce(memo, outcome) {
+    return memo.concat(outcome.values);
+  }, []).sort(function sort(a, b) {
+    return a - b;
+  });
+};
+
+/**
+ * Calculate the percentile of the sorted values with linear interpolation.
+ *
+ * @param {Array} sorted Values sorted ascending.
+ * @param {Number} p Percentile between 0 and 1.
+ * @returns {Number} percentile or null if there are no values
+ * @api private
+ */
+Report.prototype.percentile = function percentile(sorted, p) {
+  var i = (sorted.length - 1) * p
+    , lower = Math.floor(i);
+
+  if (!sorted.length) return null;
+  if (lower + 1 >= sorted.length) return sorted[lower];
+
+  return Math.round(sorted[lower] + (sorted[lower + 1] - sorted[lower]) * (i - lower));
+};
+
+/**
+ * Round to a percentage with one decimal.
+ *
+ * @param {Number} part
+ * @param {Number} total
+ * @returns {Number} percentage or null if total is 0
+ * @api private
+ */
+Report.prototype.percentage = function percentage(part, total) {
+  return total ? Math.round(part / total * 1000) / 10 : null;
+};
+
+/**
+ * Compute the report of the registry for the time range.
+ *
+ * @param {String} registry Name of the registry.
+ * @param {Number} from Start of the range.
+ * @param {Number} to End of the range, defaults to now.
+ * @returns {Object} report
+ * @api public
+ */
+Report.prototype.compute = function compute(registry, from, to) {
+  var ping, delta, times, lag, publish, samples, earliest;
+
+  to = to || this.now;
+
+  ping = this.outcomes('ping', registry, from, to);
+  delta = this.outcomes('delta', registry, from, to);
+  lag = this.values(delta);
+  publish = this.outcomes('publish', registry, from, to);
+  times = this.values(ping);
+  samples = this.sum(ping, 'n');
+
+  earliest = ping.concat(delta, publish).reduce(function reduce(memo, outcome) {
+    return Math.min(memo, outcome.t);
+  }, Infinity);
+
+  return {
+    from: from,
+    to: to,
+    coverage: isFinite(earliest) ? this.percentage(to - Math.max(earliest, from), to - from) : 0,
+    uptime: this.percentage(samples - this.sum(ping, 'failed'), samples),
+    samples: samples,
+    p50: this.percentile(times, .5),
+    p95: this.percentile(times, .95),
+    p99: this.percentile(times, .99),
+    lag: lag.length ? Math.round(lag.reduce(function sum(memo, value) {
+      return memo + value;
+    }, 0) / lag.length) : null,
+    publish: this.percentage(this.sum(publish, 'n') - this.sum(publish, 'failed'), this.sum(publish, 'n'))
+  };
+};
+
+/**
+ * Compute the report of each registry for each window.
+ *
+ * @param {Array} names Names of the registries.
+ * @param {Object} ranges Optional windows in milliseconds by name.
+ * @returns {Object} reports as registry.window
+ * @api public
+ */
+Report.prototype.windows = function windows(names, ranges) {
+  var report = this;
+
+  ranges = ranges || Report.windows;
+
+  return names.reduce(function reduce(memo, name) {
+    memo[name] = Object.keys(ranges).reduce(function reduce(windows, key) {
+      windows[key] = report.compute(name, report.now - ranges[key], report.now);
+      return windows;
+    }, {});
+
+    return memo;
+  }, {});
+};
+
+//
+// Expose the report.
+//
+module.exports = Report;
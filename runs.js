@@ -0,0 +1,176 @@
+'use strict';
+
+/**
+ * Log of probe runs per registry, the latest run of every probe type and the
+ * most recent failed runs are kept for the detail panel of the registry. The
+ * outcomes of all runs are counted per hour for the uptime report. A run has
+ * the following properties:
+ *  - type {String}: probe type, e.g. ping.
+ *  - registry {String}: name of the registry.
+ *  - start, end, duration {Number}: timing of the run in milliseconds.
+ *  - results {Object}: plain results of the probe, e.g. the ping statistics.
+ *  - packages {Array}: names of the packages used by the check.
+ *  - error {String}: error message of a failed run.
+ *  - failed {Boolean}: the run failed, see Runs.prototype.failed.
+ *
+ * @constructor
+ * @param {Number} limit Failed runs kept per registry, defaults to Runs.limit.
+ * @param {Number} retention Milliseconds of outcomes to keep, defaults to
+ *   Runs.retention.
+ * @api public
+ */
+function Runs(limit, retention) {
+  this.limit = limit || Runs.limit;
+  this.retention = retention || Runs.retention;
+  this.latest = {};
+  this.failures = {};
+  this.outcomes = {};
+}
+
+//
+// Default number of failed runs kept per registry.
+//
+Runs.limit = 20;
+
+//
+// Outcomes are kept for 30 days, the longest window of the uptime report, and
+// counted per hour.
+//
+Runs.retention = 2592E6;
+Runs.interval = 36E5;
+
+/**
+ * Add a run to the log.
+ *
+ * @param {Object} run Type, registry, start, end, results, packages and error.
+ * @returns {Object} normalized run
+ * @api public
+ */
+Runs.prototype.add = function add(run) {
+  var results = run.results || {}
+    , failures;
+
+  run = {
+    type: run.type,
+    registry: run.registry,
+    start: run.start,
+    end: run.end,
+    duration: run.end - run.start,
+    results: run.results === undefined ? null : run.results,
+    packages: run.packages || [],
+    error: run.error || results.error || null
+  };
+
+  run.failed = this.failed(run);
+
+  this.latest[run.registry] = this.latest[run.registry] || {};
+  this.latest[run.registry][run.type] = run;
+
+  if (run.failed) {
+    failures = this.failures[run.registry] = this.failures[run.registry] || [];
+    failures.unshift(run);
+    failures.splice(this.limit);
+  }
+
+  this.count(run);
+  return run;
+};
+
+/**
+ * Count the outcome of the run in the hour it started. Every hour has the
+ * number of runs `n`, the number of `failed` runs and the measured `values` of
+ * the successful runs, see Runs.prototype.value.
+ *
+ * @param {Object} run Normalized run.
+ * @api private
+ */
+Runs.prototype.count = function count(run) {
+  var outcomes = this.outcomes[run.registry] = this.outcomes[run.registry] || {}
+    , series = outcomes[run.type] = outcomes[run.type] || []
+    , t = run.start - run.start % Runs.interval
+    , value = this.value(run)
+    , i = series.length - 1
+    , hour;
+
+  //
+  // Runs arrive in order, but concurrent runs can complete out of order.
+  //
+  while (i >= 0 && series[i].t > t) i--;
+  if (i >= 0 && series[i].t === t) hour = series[i];
+  else series.splice(i + 1, 0, hour = { t: t, n: 0, failed: 0, values: [] });
+
+  hour.n++;
+  if (run.failed) hour.failed++;
+  else if (value !== null) hour.values.push(value);
+
+  while (series[0].t < series[series.length - 1].t - this.retention) series.shift();
+};
+
+/**
+ * Measured value of a successful run: the mean response time of a ping or the
+ * mean replication lag of a delta run in milliseconds.
+ *
+ * @param {Object} run Normalized run.
+ * @returns {Number} value or null if the run measures no time.
+ * @api private
+ */
+Runs.prototype.value = function value(run) {
+  var results = run.results || {};
+
+  if ('number' === typeof results.mean) return results.mean;
+  if (results.lag && 'number' === typeof results.lag.mean) return results.lag.mean;
+
+  return null;
+};
+
+/**
+ * Get the outcomes per hour of the registry for the type within the time
+ * range.
+ *
+ * @param {String} type Probe type, e.g. ping.
+ * @param {String} name Name of the registry.
+ * @param {Number} from Start of the range.
+ * @param {Number} to End of the range.
+ * @returns {Array} outcomes per hour
+ * @api public
+ */
+Runs.prototype.series = function series(type, name, from, to) {
+  return ((this.outcomes[name] || {})[type] || []).filter(function filter(hour) {
+    return hour.t + Runs.interval > from && hour.t <= to;
+  });
+};
+
+/**
+ * Check if the run failed. npm-probe reports failed pings with a mean of 0 and
+ * failed publishes with published false, other probes should report an error.
+ *
+ * @param {Object} run
+ * @returns {Boolean} failed
+ * @api private
+ */
+Runs.prototype.failed = function failed(run) {
+  var results = run.results || {};
+
+  return !!run.error
+    || results.published === false
+    || results.mean === 0;
+};
+
+/**
+ * Get the runs of the registry.
+ *
+ * @param {String} name Name of the registry.
+ * @returns {Object} latest run per type and failed runs, most recent first.
+ * @api public
+ */
+Runs.prototype.registry = function registry(name) {
+  return {
+    latest: this.latest[name] || {},
+    failures: this.failures[name] || []
+  };
+};
+
+//
+// Expose the runs.
+//
+module.exports = Runs;
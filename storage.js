@@ -0,0 +1,228 @@
+'use strict';
+
+var fs = require('fs')
+  , path = require('path');
+
+/**
+ * File based storage of the status time series. Every probe result is stored
+ * as record `{ type, registry, points, latest }`, points replace earlier
+ * points of the same interval. Options:
+ *  - file {String}: path to the file, defaults to status.ndjson in cwd.
+ *  - format {String}: `ndjson` (default) appends records, `json` rewrites the
+ *    complete snapshot on every save.
+ *  - compact {Number}: rewrite the ndjson file after n saves, defaults to 1000.
+ *
+ * Other adapters should implement `load(fn)` and `save(record, fn)`, and can
+ * optionally implement `compact(windows, fn)` to remove outdated points.
+ *
+ * @constructor
+ * @param {Object} options
+ * @api public
+ */
+function Storage(options) {
+  options = options || {};
+
+  this.file = path.resolve(options.file || 'status.ndjson');
+  this.format = options.format || (path.extname(this.file) === '.json' ? 'json' : 'ndjson');
+  this.limit = options.compact || 1000;
+
+  this.status = {};
+  this.latest = {};
+  this.writes = 0;
+  this.queue = [];
+  this.busy = false;
+}
+
+/**
+ * Check if the provided object implements the storage adapter interface.
+ *
+ * @param {Object} store
+ * @returns {Boolean}
+ * @api public
+ */
+Storage.adapter = function adapter(store) {
+  return !!store
+    && 'function' === typeof store.load
+    && 'function' === typeof store.save;
+};
+
+/**
+ * Apply the record to the status and latest collections, points of the same
+ * interval are replaced.
+ *
+ * @param {Object} status Time series per type and registry.
+ * @param {Object} latest Latest value per type and registry.
+ * @param {Object} record Stored probe result.
+ * @api public
+ */
+Storage.apply = function apply(status, latest, record) {
+  var keys = record.points.map(function map(point) {
+    return point.t;
+  });
+
+  status[record.type] = status[record.type] || {};
+  status[record.type][record.registry] = (status[record.type][record.registry] || [])
+    .filter(function filter(point) { return !~keys.indexOf(point.t); })
+    .concat(record.points);
+
+  latest[record.type] = latest[record.type] || {};
+  latest[record.type][record.registry] = record.latest;
+};
+
+/**
+ * Remove points which are older than the window of their type.
+ *
+ * @param {Object} status Time series per type and registry.
+ * @param {Object} windows Window size in milliseconds per type.
+ * @param {Number} now Reference time, defaults to now.
+ * @api public
+ */
+Storage.prune = function prune(status, windows, now) {
+  now = now || Date.now();
+
+  Object.keys(status).forEach(function each(type) {
+    if (!(type in windows)) return;
+
+    Object.keys(status[type]).forEach(function each(registry) {
+      status[type][registry] = status[type][registry].filter(function filter(point) {
+        return point.t >= now - windows[type];
+      });
+    });
+  });
+};
+
+/**
+ * Load the stored status and latest values. Lines that cannot be parsed, e.g.
+ * due to an interrupted write, are ignored.
+ *
+ * @param {Function} fn Completion callback, receives error and data.
+ * @api public
+ */
+Storage.prototype.load = function load(fn) {
+  var store = this;
+
+  fs.readFile(this.file, 'utf-8', function read(error, content) {
+    if (error && error.code !== 'ENOENT') return fn(error);
+
+    store.status = {};
+    store.latest = {};
+
+    try {
+      if (store.format === 'json') {
+        content = content ? JSON.parse(content) : {};
+        store.status = content.status || {};
+        store.latest = content.latest || {};
+      } else {
+        (content || '').split('\n').forEach(function each(line) {
+          if (!line) return;
+
+          try { line = JSON.parse(line); }
+          catch (e) { return; }
+
+          Storage.apply(store.status, store.latest, line);
+        });
+      }
+    } catch (e) { return fn(e); }
+
+    fn(null, { status: store.status, latest: store.latest });
+  });
+};
+
+/**
+ * Store the record.
+ *
+ * @param {Object} record Probe result `{ type, registry, points, latest }`.
+ * @param {Function} fn Completion callback.
+ * @api public
+ */
+Storage.prototype.save = function save(record, fn) {
+  Storage.apply(this.status, this.latest, record);
+
+  if (this.format === 'json' || ++this.writes >= this.limit) {
+    this.writes = 0;
+    return this.write(this.snapshot(), false, fn);
+  }
+
+  this.write(JSON.stringify(record) +'\n', true, fn);
+};
+
+/**
+ * Remove outdated points and rewrite the file with the remaining data.
+ *
+ * @param {Object} windows Window size in milliseconds per type.
+ * @param {Function} fn Completion callback.
+ * @api public
+ */
+Storage.prototype.compact = function compact(windows, fn) {
+  Storage.prune(this.status, windows);
+
+  this.writes = 0;
+  this.write(this.snapshot(), false, fn);
+};
+
+/**
+ * Serialize all stored data in the configured format.
+ *
+ * @returns {String} content of the file
+ * @api private
+ */
+Storage.prototype.snapshot = function snapshot() {
+  var status = this.status
+    , latest = this.latest;
+
+  if (this.format === 'json') {
+    return JSON.stringify({ status: status, latest: latest });
+  }
+
+  return Object.keys(status).reduce(function reduce(lines, type) {
+    return lines.concat(Object.keys(status[type]).map(function map(registry) {
+      return JSON.stringify({
+        type: type,
+        registry: registry,
+        points: status[type][registry],
+        latest: (latest[type] || {})[registry]
+      }) +'\n';
+    }));
+  }, []).join('');
+};
+
+/**
+ * Queue writes to the file so appends and rewrites never interleave. Complete
+ * rewrites are written to a temporary file first and renamed.
+ *
+ * @param {String} content
+ * @param {Boolean} append Append instead of replacing the file.
+ * @param {Function} fn Completion callback.
+ * @api private
+ */
+Storage.prototype.write = function write(content, append, fn) {
+  var store = this
+    , tmp = this.file +'.tmp';
+
+  this.queue.push({ content: content, append: append, fn: fn || function noop() {} });
+  if (this.busy) return;
+
+  (function next() {
+    var job = store.queue.shift();
+
+    if (!job) return store.busy = false;
+    store.busy = true;
+
+    function done(error) {
+      job.fn(error);
+      next();
+    }
+
+    if (job.append) return fs.appendFile(store.file, job.content, done);
+
+    fs.writeFile(tmp, job.content, function written(error) {
+      if (error) return done(error);
+      fs.rename(tmp, store.file, done);
+    });
+  })();
+};
+
+//
+// Expose the storage.
+//
+module.exports = Storage;
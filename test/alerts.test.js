@@ -0,0 +1,200 @@
+describe('Alerts', function () {
+  'use strict';
+
+  var common = require('./common')
+    , expect = common.expect
+    , Alerts = require('../alerts')
+    , http = require('http')
+    , thresholds = { ping: { degraded: 1000, outage: 5000 } }
+    , alerts, events;
+
+  function record(event) {
+    events.push(event.event +' '+ event.state);
+  }
+
+  beforeEach(function () {
+    events = [];
+    alerts = new Alerts({ thresholds: thresholds, window: 6E4 });
+
+    [ 'alert', 'recover', 'flapping' ].forEach(function (event) {
+      alerts.on(event, record);
+    });
+  });
+
+  describe('#process', function () {
+    it('ignores types without thresholds and unknown values', function () {
+      alerts.process('uptime', 'npmjs', 1E4, 1).process('ping', 'npmjs', 'pending', 2);
+
+      expect(alerts.states).to.eql({});
+    });
+
+    it('only changes state after consecutive results', function () {
+      alerts
+        .process('ping', 'npmjs', 6000, 1)
+        .process('ping', 'npmjs', 6000, 2)
+        .process('ping', 'npmjs', 2000, 3)
+        .process('ping', 'npmjs', 2000, 4);
+
+      expect(events).to.eql([]);
+
+      alerts.process('ping', 'npmjs', 2000, 5);
+      expect(events).to.eql([ 'alert degraded' ]);
+    });
+
+    it('reports the recovery of the registry', function () {
+      [ 6000, 6000, 6000, 100, 100, 100 ].forEach(function (value, i) {
+        alerts.process('ping', 'npmjs', value, i + 1);
+      });
+
+      expect(events).to.eql([ 'alert outage', 'recover operational' ]);
+      expect(alerts.states['npmjs/ping'].previous).to.equal('outage');
+    });
+
+    it('suppresses alerts while the registry is flapping', function () {
+      alerts = new Alerts({ thresholds: thresholds, debounce: 1, flaps: 3, window: 6E4 });
+      [ 'alert', 'recover', 'flapping' ].forEach(function (event) {
+        alerts.on(event, record);
+      });
+
+      [ 6000, 100, 6000, 100, 6000 ].forEach(function (value, i) {
+        alerts.process('ping', 'npmjs', value, i + 1);
+      });
+
+      expect(events).to.eql([ 'alert outage', 'recover operational', 'flapping outage' ]);
+
+      alerts.process('ping', 'npmjs', 6000, 7E4);
+      expect(events).to.eql([ 'alert outage', 'recover operational', 'flapping outage', 'alert outage' ]);
+    });
+
+    it('delivers the events to the sinks', function () {
+      var delivered = [];
+
+      alerts.use(function (event, fn) {
+        delivered.push(event);
+        fn();
+      });
+
+      [ 6000, 6000, 6000 ].forEach(function (value, i) {
+        alerts.process('ping', 'npmjs', value, i + 1);
+      });
+
+      expect(delivered).to.eql([{
+        event: 'alert',
+        registry: 'npmjs',
+        type: 'ping',
+        state: 'outage',
+        previous: 'operational',
+        value: 6000,
+        threshold: thresholds.ping,
+        t: 3
+      }]);
+    });
+
+    it('emits the errors of the sinks', function () {
+      var errors = [];
+
+      alerts.use(function (event, fn) {
+        fn(new Error('unavailable'));
+      }).on('error', function (error) {
+        errors.push(error.message);
+      });
+
+      alerts.debounce = 1;
+      alerts.process('ping', 'npmjs', 6000, 1);
+
+      expect(errors).to.eql([ 'unavailable' ]);
+    });
+  });
+
+  describe('.webhook', function () {
+    var server, target, handle;
+
+    before(function (done) {
+      server = http.createServer(function (req, res) {
+        var body = '';
+
+        req.setEncoding('utf-8');
+        req.on('data', function (chunk) { body += chunk; });
+        req.on('end', function () { handle(req, res, body); });
+      }).listen(0, '127.0.0.1', function () {
+        target = 'http://127.0.0.1:'+ server.address().port +'/hook';
+        done();
+      });
+    });
+
+    after(function (done) {
+      server.close(function () { done(); });
+    });
+
+    it('POSTs the event as JSON', function (done) {
+      handle = function (req, res, body) {
+        expect(req.method).to.equal('POST');
+        expect(req.url).to.equal('/hook');
+        expect(req.headers['content-type']).to.equal('application/json');
+        expect(req.headers.authorization).to.equal('token');
+        expect(JSON.parse(body)).to.eql({ event: 'alert', registry: 'npmjs' });
+        res.end();
+      };
+
+      Alerts.webhook(target, { Authorization: 'token' })({ event: 'alert', registry: 'npmjs' }, function (error) {
+        expect(error).to.equal(null);
+        done();
+      });
+    });
+
+    it('reports error responses', function (done) {
+      handle = function (req, res) {
+        res.statusCode = 502;
+        res.end();
+      };
+
+      Alerts.webhook(target)({ event: 'alert' }, function (error) {
+        expect(error.message).to.equal('[registry-status-pagelet] webhook responded with 502');
+        done();
+      });
+    });
+
+    it('aborts requests after the timeout', function (done) {
+      handle = function (req, res) {
+        req.socket.on('close', function () { res.end(); });
+      };
+
+      Alerts.webhook(target, null, 50)({ event: 'alert' }, function (error) {
+        expect(error.message).to.equal('[registry-status-pagelet] webhook timed out after 50ms');
+        setTimeout(done, 20);
+      });
+    });
+
+    it('reports connection errors', function (done) {
+      Alerts.webhook('http://127.0.0.1:1/hook')({ event: 'alert' }, function (error) {
+        expect(error.code).to.equal('ECONNREFUSED');
+        done();
+      });
+    });
+  });
+
+  describe('.command', function () {
+    var check = [
+      'var body = "";',
+      'process.stdin.on("data", function (chunk) { body += chunk; });',
+      'process.stdin.on("end", function () {',
+      '  var event = JSON.parse(body);',
+      '  process.exit(event.registry === JSON.parse(process.env.REGISTRY_ALERT).registry ? +process.argv[1] : 9);',
+      '});'
+    ].join('\n');
+
+    it('writes the event to stdin and the environment', function (done) {
+      Alerts.command(process.execPath, [ '-e', check, '0' ])({ event: 'alert', registry: 'npmjs' }, function (error) {
+        expect(error).to.equal(null);
+        done();
+      });
+    });
+
+    it('reports failing commands', function (done) {
+      Alerts.command(process.execPath, [ '-e', check, '3' ])({ event: 'alert', registry: 'npmjs' }, function (error) {
+        expect(error.code).to.equal(3);
+        done();
+      });
+    });
+  });
+});
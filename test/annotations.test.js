@@ -0,0 +1,108 @@
+describe('Annotations', function () {
+  'use strict';
+
+  var common = require('./common')
+    , expect = common.expect
+    , Annotations = require('../annotations');
+
+  describe('.from', function () {
+    it('creates annotations from an array', function () {
+      var annotations = Annotations.from([{
+        registry: 'npmjs',
+        start: '2014-05-01T10:00:00Z',
+        end: new Date('2014-05-01T12:00:00Z'),
+        severity: 'incident',
+        message: 'Elevated error rates',
+        type: 'publish'
+      }]);
+
+      expect(annotations.toJSON()).to.eql([{
+        id: 1,
+        registry: 'npmjs',
+        type: 'publish',
+        start: Date.UTC(2014, 4, 1, 10),
+        end: Date.UTC(2014, 4, 1, 12),
+        severity: 'incident',
+        message: 'Elevated error rates'
+      }]);
+    });
+
+    it('returns annotations as is', function () {
+      var annotations = new Annotations();
+
+      expect(Annotations.from(annotations)).to.equal(annotations);
+      expect(Annotations.from(undefined).toJSON()).to.eql([]);
+    });
+
+    it('keeps annotations without end open-ended', function () {
+      var annotation = Annotations.from([{ registry: '*', start: 1000, end: null }]).list[0];
+
+      expect(annotation.end).to.equal(null);
+      expect(annotation.severity).to.equal('info');
+      expect(annotation.type).to.equal(null);
+      expect(annotation.message).to.equal('');
+    });
+
+    it('orders the annotations by start', function () {
+      var annotations = Annotations.from([
+        { registry: 'npmjs', start: 3000, message: 'c' },
+        { registry: 'npmjs', start: 1000, message: 'a' },
+        { registry: 'npmjs', start: 3000, message: 'd' }
+      ]);
+
+      annotations.add({ registry: 'npmjs', start: 2000, message: 'b' });
+
+      expect(annotations.list.map(function (annotation) {
+        return annotation.message;
+      })).to.eql([ 'a', 'b', 'c', 'd' ]);
+    });
+
+    it('validates the annotations', function () {
+      function invalid(annotation) {
+        return function () {
+          Annotations.from([ annotation ]);
+        };
+      }
+
+      expect(invalid({ start: 1000 })).to.throw(/^\[registry-status-pagelet\] annotation\.registry should be a registry name or \*/);
+      expect(invalid({ registry: 'npmjs', start: 'yesterday' })).to.throw(/annotation\.start should be a valid time/);
+      expect(invalid({ registry: 'npmjs' })).to.throw(/annotation\.start should be a valid time/);
+      expect(invalid({ registry: 'npmjs', start: 2000, end: 1000 })).to.throw(/annotation\.end should be a valid time after start/);
+      expect(invalid({ registry: 'npmjs', start: 2000, end: 'later' })).to.throw(/annotation\.end should be a valid time after start/);
+      expect(invalid({ registry: 'npmjs', start: 2000, severity: 'fatal' })).to.throw(/annotation\.severity should be one of: info, maintenance, incident/);
+    });
+  });
+
+  describe('#filter', function () {
+    var annotations;
+
+    beforeEach(function () {
+      annotations = Annotations.from([
+        { registry: 'npmjs', start: 1000, end: 2000, message: 'closed' },
+        { registry: '*', start: 5000, message: 'marker' },
+        { registry: 'europe', start: 1500, end: null, message: 'other' }
+      ]);
+    });
+
+    function messages(list) {
+      return list.map(function (annotation) { return annotation.message; });
+    }
+
+    it('includes the annotations of all registries', function () {
+      expect(messages(annotations.filter('npmjs'))).to.eql([ 'closed', 'marker' ]);
+    });
+
+    it('includes annotations that overlap the time range', function () {
+      expect(messages(annotations.filter('npmjs', 1500, 4000))).to.eql([ 'closed' ]);
+      expect(messages(annotations.filter('npmjs', 2500, 6000))).to.eql([ 'marker' ]);
+      expect(messages(annotations.filter('europe', 1400, 1600))).to.eql([ 'other' ]);
+      expect(messages(annotations.filter('europe', 1600, 1700))).to.eql([]);
+    });
+
+    it('removes annotations by id', function () {
+      expect(annotations.remove(1)).to.equal(true);
+      expect(annotations.remove(1)).to.equal(false);
+      expect(messages(annotations.filter('npmjs'))).to.eql([ 'marker' ]);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+describe('Catalog', function () {
+  'use strict';
+
+  var common = require('./common')
+    , expect = common.expect
+    , Catalog = require('../catalog');
+
+  it('indexes the registries and their location by name', function () {
+    var catalog = new Catalog(common.locations());
+
+    expect(catalog.names()).to.eql([ 'npmjs', 'mirror', 'europe' ]);
+    expect(catalog.has('mirror')).to.equal(true);
+    expect(catalog.has('toString')).to.equal(false);
+    expect(catalog.get('europe').url).to.equal('http://europe.example.com/');
+    expect(catalog.location('europe').id).to.equal('eu-west');
+    expect(catalog.get('unknown')).to.equal(undefined);
+  });
+
+  it('provides defaults for the display name and icon', function () {
+    var catalog = new Catalog(common.locations());
+
+    expect(catalog.get('npmjs').display).to.equal('npmjs');
+    expect(catalog.get('npmjs').icon).to.equal('');
+    expect(catalog.get('mirror').display).to.equal('Mirror');
+  });
+
+  it('reads the bundled catalog from a file', function () {
+    var catalog = Catalog.from(__dirname +'/../registries.json');
+
+    expect(catalog.names().length).to.be.above(0);
+    expect(Catalog.from(__dirname +'/../registries.json')).to.equal(catalog);
+  });
+
+  describe('#validate', function () {
+    function invalid(mutate) {
+      var locations = common.locations();
+
+      mutate(locations);
+      return function load() {
+        return new Catalog(locations);
+      };
+    }
+
+    it('requires a non-empty array of locations', function () {
+      expect(function () { return new Catalog([]); }).to.throw(/non-empty array of locations/);
+      expect(function () { return new Catalog({}); }).to.throw(/non-empty array of locations/);
+    });
+
+    it('requires unique location identifiers', function () {
+      expect(invalid(function (locations) {
+        locations[1].id = 'us-east';
+      })).to.throw(/locations\[1\]\.id `us-east` is not unique/);
+
+      expect(invalid(function (locations) {
+        locations[0].id = '1st';
+      })).to.throw(/locations\[0\]\.id should be a string/);
+    });
+
+    it('requires a longitude and latitude within range', function () {
+      expect(invalid(function (locations) {
+        locations[0].lonlat = [ 39, -181 ];
+      })).to.throw(/locations\[0\]\.lonlat/);
+
+      expect(invalid(function (locations) {
+        locations[0].lonlat = [ 181, 39 ];
+      })).to.throw(/locations\[0\]\.lonlat/);
+    });
+
+    it('requires unique registry names', function () {
+      expect(invalid(function (locations) {
+        locations[1].registries[0].name = 'npmjs';
+      })).to.throw(/registries\[0\]\.name `npmjs` is also used by locations\[0\]\.registries\[0\]/);
+    });
+
+    it('requires a url and a known type', function () {
+      expect(invalid(function (locations) {
+        delete locations[0].registries[1].url;
+      })).to.throw(/registries\[1\]\.url should be a non-empty string/);
+
+      expect(invalid(function (locations) {
+        locations[0].registries[1].type = 'public';
+      })).to.throw(/registries\[1\]\.type should be one of: corporate, community, private/);
+    });
+
+    it('namespaces the errors', function () {
+      expect(invalid(function (locations) {
+        locations[0].registries = [];
+      })).to.throw(/^\[registry-status-pagelet\] locations\[0\]\.registries/);
+    });
+  });
+});
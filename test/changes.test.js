@@ -0,0 +1,123 @@
+describe('Changes', function () {
+  'use strict';
+
+  var common = require('./common')
+    , expect = common.expect
+    , Changes = require('../changes')
+    , http = require('http')
+    , server, target, handle, requests, changes;
+
+  before(function (done) {
+    server = http.createServer(function (req, res) {
+      requests.push(req.url);
+      handle(req, res);
+    }).listen(0, '127.0.0.1', function () {
+      target = 'http://127.0.0.1:'+ server.address().port +'/_changes';
+      done();
+    });
+  });
+
+  after(function (done) {
+    server.close(function () { done(); });
+  });
+
+  beforeEach(function () {
+    requests = [];
+    handle = function (req, res) {
+      res.end(JSON.stringify({ results: [{ id: 'left-pad' }, { id: 'lodash' }] }));
+    };
+  });
+
+  afterEach(function () {
+    if (changes) changes.stop();
+  });
+
+  it('defaults to the changes of the npm registry', function () {
+    changes = new Changes();
+
+    expect(changes.url).to.equal(Changes.url);
+    expect(changes.interval).to.equal(18E4);
+    expect(changes.timeout).to.equal(5E3);
+    expect(changes.running).to.equal(false);
+  });
+
+  it('polls the changes with the interval', function (done) {
+    changes = new Changes({ url: target, interval: 30 }).start().start();
+
+    setTimeout(function () {
+      expect(changes.list).to.eql([{ id: 'left-pad' }, { id: 'lodash' }]);
+      expect(requests.length).to.be.within(2, 5);
+      expect(requests[0]).to.equal('/_changes');
+      done();
+    }, 100);
+  });
+
+  it('stops polling and aborts the pending request', function (done) {
+    var closed = false;
+
+    handle = function (req) {
+      req.socket.on('close', function () { closed = true; });
+    };
+
+    changes = new Changes({ url: target, interval: 10 }).start();
+
+    setTimeout(function () {
+      expect(changes.request).to.not.equal(null);
+      changes.stop();
+      expect(changes.request).to.equal(null);
+
+      setTimeout(function () {
+        expect(closed).to.equal(true);
+        expect(requests).to.have.length(1);
+        done();
+      }, 50);
+    }, 30);
+  });
+
+  it('emits an error and keeps the changes when the request times out', function (done) {
+    changes = new Changes({ url: target, interval: 1E4, timeout: 30 });
+    changes.list = [{ id: 'previous' }];
+
+    handle = function (req, res) {
+      req.socket.on('close', function () { res.end(); });
+    };
+
+    changes.once('error', function (error) {
+      expect(error.message).to.equal('[registry-status-pagelet] changes feed timed out after 30ms');
+      expect(changes.list).to.eql([{ id: 'previous' }]);
+      expect(changes.request).to.equal(null);
+      expect(changes.timer).to.not.equal(null);
+      done();
+    }).start();
+  });
+
+  it('emits errors of responses that are not ok or not JSON', function (done) {
+    var errors = [];
+
+    handle = function (req, res) {
+      res.statusCode = requests.length === 1 ? 503 : 200;
+      res.end('{"results":');
+    };
+
+    changes = new Changes({ url: target, interval: 10 });
+    changes.on('error', function (error) {
+      errors.push(error);
+      if (errors.length < 2) return;
+
+      expect(errors[0].message).to.equal('[registry-status-pagelet] changes feed responded with 503');
+      expect(errors[1]).to.be.instanceof(SyntaxError);
+      expect(changes.list).to.eql([]);
+      done();
+    }).start();
+  });
+
+  it('does not throw without error listeners', function (done) {
+    changes = new Changes({ url: 'http://127.0.0.1:1/_changes', interval: 1E4 }).start();
+
+    setTimeout(function () {
+      expect(changes.running).to.equal(true);
+      expect(changes.list).to.eql([]);
+      done();
+    }, 50);
+  });
+});
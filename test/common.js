@@ -0,0 +1,34 @@
+'use strict';
+
+var chai = require('chai');
+
+chai.config.includeStack = true;
+
+//
+// Expose our assertations.
+//
+exports.expect = chai.expect;
+
+/**
+ * Locations of a small catalog, a fresh copy is returned as the catalog adds
+ * defaults to the registries.
+ *
+ * @returns {Array} locations
+ * @api public
+ */
+exports.locations = function locations() {
+  return [{
+    id: 'us-east',
+    lonlat: [ -77, 39 ],
+    registries: [
+      { name: 'npmjs', url: 'https://registry.npmjs.org', type: 'corporate' },
+      { name: 'mirror', url: 'mirror.example.com', type: 'community', display: 'Mirror' }
+    ]
+  }, {
+    id: 'eu-west',
+    lonlat: [ 4.9, 52.4 ],
+    registries: [
+      { name: 'europe', url: 'http://europe.example.com/', type: 'private' }
+    ]
+  }];
+};
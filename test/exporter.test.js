@@ -0,0 +1,108 @@
+describe('Exporter', function () {
+  'use strict';
+
+  var common = require('./common')
+    , expect = common.expect
+    , Exporter = require('../exporter')
+    , exporter;
+
+  beforeEach(function () {
+    exporter = new Exporter({
+      status: {
+        ping: {
+          npmjs: [{ t: 1000, values: { mean: 100 } }, { t: 2000, values: { mean: 120 } }],
+          mirror: [{ t: 2000, values: { mean: 80, note: 'slow, "cached"\nretry' } }]
+        },
+        delta: {
+          npmjs: [{ t: 1000, values: { lag: 5, modules: { hour: 1 } } }]
+        }
+      },
+      latest: {
+        ping: { npmjs: 120, mirror: 'slow' },
+        delta: { npmjs: 5 }
+      },
+      options: {
+        ping: { x: { domain: [ 1500, 2500 ] } }
+      }
+    });
+  });
+
+  describe('#filter', function () {
+    it('defaults the time range to the domain of the chart', function () {
+      var data = exporter.filter();
+
+      expect(data.ping.npmjs.points).to.eql([{ t: 2000, values: { mean: 120 } }]);
+      expect(data.delta.npmjs.points.length).to.equal(1);
+    });
+
+    it('filters by registry, type and time range', function () {
+      var data = exporter.filter({ registry: 'npmjs,europe', type: [ 'ping' ], from: '0', to: 1500 });
+
+      expect(data).to.eql({
+        ping: { npmjs: { latest: 120, points: [{ t: 1000, values: { mean: 100 } }] } }
+      });
+    });
+
+    it('accepts dates and ignores invalid times', function () {
+      var data = exporter.filter({ type: 'ping', from: new Date(0).toISOString(), to: 'invalid' });
+
+      expect(data.ping.npmjs.points.length).to.equal(2);
+    });
+  });
+
+  it('exports the filtered data as JSON', function () {
+    expect(JSON.parse(exporter.json({ type: 'delta' }))).to.eql({
+      delta: { npmjs: { latest: 5, points: [{ t: 1000, values: { lag: 5, modules: { hour: 1 } } }] } }
+    });
+  });
+
+  describe('#csv', function () {
+    it('exports a row per data point with the keys of all values', function () {
+      var lines = exporter.csv({ registry: 'npmjs' }).split('\n');
+
+      expect(lines).to.eql([
+        'probe,registry,t,date,latest,mean,lag,modules',
+        'ping,npmjs,2000,1970-01-01T00:00:02.000Z,120,120,,',
+        'delta,npmjs,1000,1970-01-01T00:00:01.000Z,5,,5,"{""hour"":1}"',
+        ''
+      ]);
+    });
+
+    it('quotes values with commas, quotes or newlines', function () {
+      var csv = exporter.csv({ registry: 'mirror' });
+
+      expect(csv).to.equal([
+        'probe,registry,t,date,latest,mean,note',
+        'ping,mirror,2000,1970-01-01T00:00:02.000Z,slow,80,"slow, ""cached""\nretry"',
+        ''
+      ].join('\n'));
+    });
+  });
+
+  describe('#escape', function () {
+    it('leaves empty and plain values as is', function () {
+      expect(exporter.escape(undefined)).to.equal('');
+      expect(exporter.escape(null)).to.equal('');
+      expect(exporter.escape(-12.5)).to.equal('-12.5');
+      expect(exporter.escape('npmjs')).to.equal('npmjs');
+    });
+
+    it('prefixes text that spreadsheets evaluate as formula', function () {
+      expect(exporter.escape('=HYPERLINK("http://example.com")')).to.equal('"\'=HYPERLINK(""http://example.com"")"');
+      expect(exporter.escape('+1+2')).to.equal("'+1+2");
+      expect(exporter.escape('-cmd')).to.equal("'-cmd");
+      expect(exporter.escape('@SUM(A1)')).to.equal("'@SUM(A1)");
+      expect(exporter.escape('-12')).to.equal('-12');
+    });
+
+    it('prefixes text starting with a tab or carriage return', function () {
+      expect(exporter.escape('\t=1+2')).to.equal("'\t=1+2");
+      expect(exporter.escape('\t5')).to.equal("'\t5");
+      expect(exporter.escape('\r=1+2')).to.equal('"\'\r=1+2"');
+    });
+
+    it('quotes values with carriage returns', function () {
+      expect(exporter.escape('slow\r\nretry')).to.equal('"slow\r\nretry"');
+    });
+  });
+});
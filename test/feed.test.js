@@ -0,0 +1,176 @@
+describe('Feed', function () {
+  'use strict';
+
+  var common = require('./common')
+    , expect = common.expect
+    , Feed = require('../feed')
+    , feed, now;
+
+  //
+  // Probe without schedule, so the feed never runs it, results are grouped
+  // per 10 seconds.
+  //
+  function Ping(collector) {
+    this.collector = collector;
+    this.name = 'ping';
+    this.list = [ 'npmjs' ];
+  }
+
+  Ping.group = function group(time) {
+    return Math.floor(time / 1E4) * 1E4;
+  };
+
+  Ping.transform = function transform(memo, probe) {
+    return { mean: probe.results.mean };
+  };
+
+  Ping.map = {};
+
+  Ping.latest = function latest(transformed) {
+    return transformed[transformed.length - 1].values.mean;
+  };
+
+  function Changes() {
+    this.list = [{ id: 'left-pad' }];
+    this.calls = [];
+  }
+
+  Changes.prototype.start = function start() {
+    this.calls.push('start');
+  };
+
+  Changes.prototype.stop = function stop() {
+    this.calls.push('stop');
+  };
+
+  function create(options) {
+    options = options || {};
+    options.registries = common.locations();
+    options.probes = { ping: Ping, delta: Ping };
+    options.options = options.options || { ping: { n: 3, step: 6E4 } };
+
+    return feed = new Feed(options);
+  }
+
+  function push(count) {
+    for (var i = count - 1; i >= 0; i--) feed.push({
+      name: 'ping',
+      registry: 'npmjs',
+      results: { mean: i + 1 },
+      start: now - i * 1E4
+    });
+  }
+
+  beforeEach(function () {
+    now = Math.floor(Date.now() / 1E4) * 1E4;
+  });
+
+  afterEach(function () {
+    feed.stop();
+  });
+
+  it('only probes the types that have chart options', function () {
+    expect(create().types()).to.eql([ 'ping' ]);
+    expect(feed.changes).to.equal(null);
+  });
+
+  describe('#push', function () {
+    it('keeps n points of the type', function () {
+      create();
+      push(5);
+
+      expect(feed.status.ping.npmjs.map(function (point) {
+        return point.values.mean;
+      })).to.eql([ 3, 2, 1 ]);
+      expect(feed.latest.ping.npmjs).to.equal(1);
+    });
+
+    it('keeps the points that fit in the retention', function () {
+      create({ retention: { ping: 6E5 } });
+      push(12);
+
+      expect(feed.status.ping.npmjs.length).to.equal(10);
+    });
+
+    it('replaces the point of the same interval', function () {
+      create();
+      push(1);
+      feed.push({ name: 'ping', registry: 'npmjs', results: { mean: 7 }, start: now + 10 });
+
+      expect(feed.status.ping.npmjs).to.eql([{ t: now, values: { mean: 7 } }]);
+    });
+
+    it('ignores registries that are not in the catalog', function () {
+      create().push({ name: 'ping', registry: 'unknown', results: { mean: 1 }, start: now });
+
+      expect(feed.status).to.eql({});
+    });
+
+    it('emits the data with the health of the registry', function (done) {
+      create({ options: { ping: { n: 3, step: 6E4, health: { degraded: 2, outage: 5 } } } });
+
+      feed.on('data', function (data) {
+        expect(data.latest).to.equal(3);
+        expect(data.health).to.eql({ state: 'degraded', types: { ping: 'degraded' } });
+        done();
+      });
+
+      feed.push({ name: 'ping', registry: 'npmjs', results: { mean: 3 }, start: now });
+    });
+  });
+
+  describe('#run', function () {
+    it('logs the run, pushes and caches the results', function () {
+      var cached = {};
+
+      create({
+        changes: new Changes(),
+        cache: { set: function (key, value, fn) { cached[key] = value; fn(); } }
+      }).start();
+
+      feed.run(new Ping(feed.collector), 'npmjs')(null, { mean: 42 });
+
+      expect(feed.runs.latest.npmjs.ping.results).to.eql({ mean: 42 });
+      expect(feed.latest.ping.npmjs).to.equal(42);
+      expect(Object.keys(cached)).to.have.length(1);
+      expect(Object.keys(cached)[0]).to.match(/^npmjs\/ping\/\d+$/);
+    });
+
+    it('emits the errors of failed runs', function () {
+      var errors = [];
+
+      create().start();
+      feed.on('error', function (error) { errors.push(error.message); });
+      feed.run(new Ping(feed.collector), 'npmjs')(new Error('ETIMEDOUT'));
+
+      expect(errors).to.eql([ 'ETIMEDOUT' ]);
+      expect(feed.runs.failures.npmjs[0].error).to.equal('ETIMEDOUT');
+      expect(feed.status).to.eql({});
+    });
+
+    it('ignores runs that complete after the feed is stopped', function () {
+      var done;
+
+      create().start();
+      done = feed.run(new Ping(feed.collector), 'npmjs');
+      feed.stop();
+      done(null, { mean: 42 });
+
+      expect(feed.runs.latest).to.eql({});
+      expect(feed.status).to.eql({});
+    });
+  });
+
+  describe('#start', function () {
+    it('starts and stops the changes source', function () {
+      var changes = new Changes();
+
+      create({ changes: changes }).start().start();
+      expect(feed.collector.feed).to.equal(changes.list);
+      expect(feed.packages({ name: 'delta' })).to.eql([ 'left-pad' ]);
+
+      feed.stop().stop();
+      expect(changes.calls).to.eql([ 'start', 'stop' ]);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+describe('Health', function () {
+  'use strict';
+
+  var common = require('./common')
+    , expect = common.expect
+    , Health = require('../health')
+    , options = require('../options')
+    , health;
+
+  beforeEach(function () {
+    health = new Health(options);
+  });
+
+  describe('#classify', function () {
+    it('treats higher response times and lag as worse', function () {
+      expect(health.classify('ping', 150)).to.equal('operational');
+      expect(health.classify('ping', 2000)).to.equal('degraded');
+      expect(health.classify('ping', 10000)).to.equal('outage');
+      expect(health.classify('delta', 59)).to.equal('operational');
+      expect(health.classify('delta', 1440)).to.equal('outage');
+    });
+
+    it('treats lower publish rates as worse', function () {
+      expect(health.classify('publish', 100)).to.equal('operational');
+      expect(health.classify('publish', 90)).to.equal('degraded');
+      expect(health.classify('publish', 50)).to.equal('outage');
+    });
+
+    it('maps the textual values of the probes', function () {
+      expect(health.classify('ping', 'down')).to.equal('outage');
+      expect(health.classify('ping', 'slow')).to.equal('degraded');
+    });
+
+    it('is unknown without a number or thresholds', function () {
+      expect(health.classify('ping', null)).to.equal('unknown');
+      expect(health.classify('ping', NaN)).to.equal('unknown');
+      expect(health.classify('ping', 'pending')).to.equal('unknown');
+      expect(health.classify('unknown', 10)).to.equal('unknown');
+    });
+  });
+
+  describe('#registry', function () {
+    it('uses the worst state of all types', function () {
+      var result = health.registry({
+        ping: { npmjs: 100, mirror: 'down' },
+        delta: { npmjs: 120 },
+        publish: { mirror: 100 }
+      }, 'npmjs');
+
+      expect(result.state).to.equal('degraded');
+      expect(result.types).to.eql({ ping: 'operational', delta: 'degraded' });
+    });
+
+    it('is unknown without measurements', function () {
+      expect(health.all({}, [ 'npmjs' ])).to.eql({
+        npmjs: { state: 'unknown', types: {} }
+      });
+    });
+  });
+});
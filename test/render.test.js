@@ -0,0 +1,97 @@
+describe('Renderer', function () {
+  'use strict';
+
+  var common = require('./common')
+    , expect = common.expect
+    , Renderer = require('../render');
+
+  describe('#map', function () {
+    var world = {
+      features: [{
+        properties: { name: 'Square', continent: 'Europe' },
+        geometry: { type: 'Polygon', coordinates: [[ [ 0, 0 ], [ 10, 0 ], [ 10, 10 ], [ 0, 10 ] ]] }
+      }]
+    };
+
+    function renderer(width, locations) {
+      return new Renderer({
+        world: world,
+        locations: locations || [],
+        options: { width: width, height: 100, ratio: 1 }
+      });
+    }
+
+    it('projects the countries once per world and size', function () {
+      var first = renderer(200)
+        , svg = first.map('npmjs');
+
+      expect(svg).to.contain('<path class="square europe" d="M');
+      expect(renderer(200).projection).to.equal(first.projection);
+      expect(renderer(300).projection).to.not.equal(first.projection);
+      expect(renderer(200).map('npmjs')).to.equal(svg);
+    });
+
+    it('renders the markers of every request', function () {
+      var svg = renderer(200, [{
+        id: 'eu',
+        lonlat: [ 5, 5 ],
+        registries: [{ name: 'europe', display: 'Europe' }]
+      }]).map('europe');
+
+      expect(svg).to.contain('class="europe unknown highlight"');
+      expect(renderer(200).map('europe')).to.not.contain('highlight');
+    });
+  });
+
+  describe('#chart', function () {
+    var data = [{ t: 6E4, values: { mean: 100, type: 'success' } }, { t: 12E4, values: { mean: 120, type: 'success' } }];
+
+    function chart(visual) {
+      return new Renderer({
+        options: {
+          ratio: .5,
+          ping: {
+            title: 'Response time',
+            visual: visual,
+            key: 'mean',
+            step: 6E4,
+            n: 2,
+            x: { type: 'time', format: '%-H:%M', ticks: 4, domain: [ 0, 18E4 ] },
+            y: { type: 'linear', ticks: 4 }
+          }
+        }
+      }).chart('ping', 'npmjs', data, 120, { width: 400, height: 100 });
+    }
+
+    it('renders the built-in visuals', function () {
+      expect(chart('line')).to.contain('class="line"');
+      expect(chart('bar')).to.contain('class="stack success"');
+    });
+
+    it('renders other visuals as line', function () {
+      [ 'area', 'render', 'chart', 'constructor' ].forEach(function (visual) {
+        var svg = chart(visual);
+
+        expect(svg).to.contain('class="line"');
+        expect(svg).to.not.contain('<svg');
+      });
+    });
+  });
+
+  describe('#legend', function () {
+    var renderer = new Renderer({ options: {} })
+      , shade = renderer.shades([], { scale: { type: 'linear', domain: [ 0, 100 ] } });
+
+    it('describes the step as period', function () {
+      expect(renderer.period(864E5)).to.equal('day');
+      expect(renderer.period(216E5)).to.equal('6 hours');
+      expect(renderer.period(6E4)).to.equal('minute');
+      expect(renderer.period(9E5)).to.equal('15 minutes');
+    });
+
+    it('shows the counts of the shades per step', function () {
+      expect(renderer.legend(shade, { step: 216E5 })).to.contain('<title>0–5 modules per 6 hours</title>');
+      expect(renderer.legend(shade, { step: 864E5 })).to.contain('<title>95+ modules per day</title>');
+    });
+  });
+});
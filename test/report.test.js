@@ -0,0 +1,154 @@
+describe('Report', function () {
+  'use strict';
+
+  var common = require('./common')
+    , expect = common.expect
+    , Report = require('../report')
+    , Runs = require('../runs')
+    , hour = 36E5
+    , now = 100 * hour;
+
+  describe('#percentile', function () {
+    var report = new Report();
+
+    it('interpolates between the sorted values', function () {
+      var sorted = [ 100, 200, 300, 400, 500 ];
+
+      expect(report.percentile(sorted, .5)).to.equal(300);
+      expect(report.percentile(sorted, .95)).to.equal(480);
+      expect(report.percentile(sorted, .99)).to.equal(496);
+      expect(report.percentile([ 100 ], .99)).to.equal(100);
+    });
+
+    it('is null without values', function () {
+      expect(report.percentile([], .5)).to.equal(null);
+    });
+  });
+
+  describe('with runs', function () {
+    var runs;
+
+    function add(type, offset, results, error) {
+      runs.add({
+        type: type,
+        registry: 'npmjs',
+        start: now - offset,
+        end: now - offset + 100,
+        results: results,
+        error: error
+      });
+    }
+
+    beforeEach(function () {
+      runs = new Runs();
+
+      for (var i = 1; i <= 9; i++) add('ping', i * 3E5, { mean: i * 100 });
+      add('ping', 2 * hour, null, 'ETIMEDOUT');
+      add('ping', 26 * hour, { mean: 0 });
+
+      add('delta', 3 * hour, { lag: { mean: 12E4 } });
+      add('delta', 4 * hour, { lag: { mean: 36E4 } });
+      add('publish', 5 * hour, { published: true });
+      add('publish', 6 * hour, { published: false });
+    });
+
+    it('computes the uptime from the outcome of every run', function () {
+      var report = new Report({}, now, runs).compute('npmjs', now - 864E5);
+
+      expect(report.samples).to.equal(10);
+      expect(report.uptime).to.equal(90);
+      expect(report.p50).to.equal(500);
+      expect(report.p95).to.equal(860);
+      expect(report.lag).to.equal(4);
+      expect(report.publish).to.equal(50);
+    });
+
+    it('computes the report of each window', function () {
+      var reports = new Report({}, now, runs).windows([ 'npmjs', 'europe' ], { '1h': hour, '7d': 6048E5 });
+
+      expect(reports.npmjs['1h'].samples).to.equal(9);
+      expect(reports.npmjs['1h'].uptime).to.equal(100);
+      expect(reports.npmjs['7d'].samples).to.equal(11);
+      expect(reports.npmjs['7d'].uptime).to.equal(81.8);
+      expect(reports.europe['7d'].uptime).to.equal(null);
+      expect(reports.europe['7d'].coverage).to.equal(0);
+    });
+  });
+
+  describe('after a restart', function () {
+    var runs, status;
+
+    beforeEach(function () {
+      var i;
+
+      status = { ping: { npmjs: [] } };
+      for (i = 1; i <= 144; i++) status.ping.npmjs.push({
+        t: now - i * hour,
+        values: { mean: i % 12 ? 200 : 0 }
+      });
+
+      runs = new Runs();
+      for (i = 1; i <= 3; i++) runs.add({
+        type: 'ping',
+        registry: 'npmjs',
+        start: now - i * 3E5,
+        end: now - i * 3E5 + 100,
+        results: { mean: 100 }
+      });
+    });
+
+    it('uses the stored history for the hours before the runs', function () {
+      var report = new Report(status, now, runs).compute('npmjs', now - 6048E5);
+
+      expect(report.samples).to.equal(143 + 3);
+      expect(report.uptime).to.equal(Math.round((146 - 12) / 146 * 1000) / 10);
+      expect(report.p50).to.equal(200);
+      expect(report.coverage).to.equal(85.7);
+    });
+
+    it('uses the runs for the hours they cover', function () {
+      var report = new Report(status, now, runs).compute('npmjs', now - hour);
+
+      expect(report.samples).to.equal(3);
+      expect(report.uptime).to.equal(100);
+      expect(report.p50).to.equal(100);
+    });
+  });
+
+  describe('without runs', function () {
+    var status = {
+      ping: {
+        npmjs: [
+          { t: now - 3 * hour, values: { mean: 100 } },
+          { t: now - 2 * hour, values: { mean: 0 } },
+          { t: now - hour, values: { mean: 300 } },
+          { t: now - 48 * hour, values: { mean: 500 } }
+        ]
+      },
+      delta: {
+        npmjs: [
+          { t: now - 12 * hour, values: { lag: 30 } },
+          { t: now - 12 * hour, values: { lag: 30 } },
+          { t: now - 36 * hour, values: { lag: 90 } }
+        ]
+      },
+      publish: {
+        npmjs: [
+          { t: now - 12 * hour, values: { type: 'success', n: 3 } },
+          { t: now - 12 * hour, values: { type: 'failure', n: 1 } }
+        ]
+      }
+    };
+
+    it('falls back to the status history', function () {
+      var report = new Report(status, now).compute('npmjs', now - 864E5);
+
+      expect(report.samples).to.equal(3);
+      expect(report.uptime).to.equal(66.7);
+      expect(report.p50).to.equal(200);
+      expect(report.lag).to.equal(30);
+      expect(report.publish).to.equal(75);
+      expect(report.coverage).to.equal(50);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+describe('Storage', function () {
+  'use strict';
+
+  var common = require('./common')
+    , expect = common.expect
+    , Storage = require('../storage')
+    , path = require('path')
+    , fs = require('fs')
+    , os = require('os')
+    , dir, now;
+
+  function record(registry, t, value) {
+    return {
+      type: 'ping',
+      registry: registry,
+      points: [{ t: t, values: { mean: value } }],
+      latest: value
+    };
+  }
+
+  beforeEach(function () {
+    now = Date.now();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-status-'));
+  });
+
+  afterEach(function () {
+    fs.readdirSync(dir).forEach(function (file) {
+      fs.unlinkSync(path.join(dir, file));
+    });
+
+    fs.rmdirSync(dir);
+  });
+
+  it('detects the format from the file extension', function () {
+    expect(new Storage({ file: path.join(dir, 'status.json') }).format).to.equal('json');
+    expect(new Storage({ file: path.join(dir, 'status.log') }).format).to.equal('ndjson');
+    expect(new Storage({ file: path.join(dir, 'status.log'), format: 'json' }).format).to.equal('json');
+  });
+
+  it('checks if an object implements the adapter interface', function () {
+    expect(Storage.adapter({ load: function () {}, save: function () {} })).to.equal(true);
+    expect(Storage.adapter({ load: function () {} })).to.equal(false);
+    expect(Storage.adapter(null)).to.equal(false);
+  });
+
+  it('loads nothing if the file does not exist', function (done) {
+    new Storage({ file: path.join(dir, 'missing.ndjson') }).load(function (error, data) {
+      expect(error).to.not.exist;
+      expect(data).to.eql({ status: {}, latest: {} });
+      done();
+    });
+  });
+
+  it('appends ndjson records and replaces points of the same interval', function (done) {
+    var file = path.join(dir, 'status.ndjson')
+      , store = new Storage({ file: file });
+
+    store.save(record('npmjs', now - 6E4, 100));
+    store.save(record('npmjs', now, 200));
+    store.save(record('npmjs', now, 300), function (error) {
+      expect(error).to.not.exist;
+      expect(fs.readFileSync(file, 'utf-8').split('\n').length).to.equal(4);
+
+      new Storage({ file: file }).load(function (error, data) {
+        expect(error).to.not.exist;
+        expect(data.latest).to.eql({ ping: { npmjs: 300 } });
+        expect(data.status.ping.npmjs).to.eql([
+          { t: now - 6E4, values: { mean: 100 } },
+          { t: now, values: { mean: 300 } }
+        ]);
+
+        done();
+      });
+    });
+  });
+
+  it('ignores lines that cannot be parsed', function (done) {
+    var file = path.join(dir, 'status.ndjson');
+
+    fs.writeFileSync(file, JSON.stringify(record('npmjs', now, 100)) +'\n{"type":"pi');
+    new Storage({ file: file }).load(function (error, data) {
+      expect(error).to.not.exist;
+      expect(data.latest).to.eql({ ping: { npmjs: 100 } });
+      done();
+    });
+  });
+
+  it('rewrites the json snapshot through a temporary file', function (done) {
+    var file = path.join(dir, 'status.json')
+      , store = new Storage({ file: file })
+      , renamed = [];
+
+    fs.rename = (function (rename) {
+      return function (from, to, fn) {
+        renamed.push([ path.basename(from), path.basename(to) ]);
+        fs.rename = rename;
+        rename.call(fs, from, to, fn);
+      };
+    })(fs.rename);
+
+    store.save(record('npmjs', now, 100), function (error) {
+      expect(error).to.not.exist;
+      expect(renamed).to.eql([[ 'status.json.tmp', 'status.json' ]]);
+      expect(fs.existsSync(file +'.tmp')).to.equal(false);
+      expect(JSON.parse(fs.readFileSync(file, 'utf-8'))).to.eql({
+        status: { ping: { npmjs: [{ t: now, values: { mean: 100 } }] } },
+        latest: { ping: { npmjs: 100 } }
+      });
+
+      done();
+    });
+  });
+
+  it('rewrites the ndjson file after the configured number of saves', function (done) {
+    var file = path.join(dir, 'status.ndjson')
+      , store = new Storage({ file: file, compact: 3 });
+
+    store.save(record('npmjs', now, 100));
+    store.save(record('npmjs', now, 200));
+    store.save(record('mirror', now, 300), function () {
+      var lines = fs.readFileSync(file, 'utf-8').split('\n').filter(Boolean);
+
+      expect(store.writes).to.equal(0);
+      expect(lines.map(function (line) {
+        return JSON.parse(line).latest;
+      })).to.eql([ 200, 300 ]);
+
+      done();
+    });
+  });
+
+  it('removes points outside the window when compacting', function (done) {
+    var file = path.join(dir, 'status.ndjson')
+      , store = new Storage({ file: file });
+
+    store.save(record('npmjs', now - 72E5, 100));
+    store.save(record('npmjs', now - 6E4, 200));
+    store.compact({ ping: 36E5 }, function (error) {
+      expect(error).to.not.exist;
+
+      new Storage({ file: file }).load(function (error, data) {
+        expect(data.status.ping.npmjs).to.eql([{ t: now - 6E4, values: { mean: 200 } }]);
+        expect(fs.readFileSync(file, 'utf-8').split('\n').filter(Boolean).length).to.equal(1);
+        done();
+      });
+    });
+  });
+});
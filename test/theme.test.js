@@ -0,0 +1,56 @@
+describe('Theme', function () {
+  'use strict';
+
+  var common = require('./common')
+    , expect = common.expect
+    , Theme = require('../theme');
+
+  it('creates the named themes', function () {
+    var theme = Theme.from('dark');
+
+    expect(theme.name).to.equal('dark');
+    expect(theme.background).to.equal(Theme.themes.dark.background);
+    expect(theme.heatmap).to.have.length(Theme.shades);
+    expect(theme.series).to.have.length(Theme.series);
+  });
+
+  it('rejects unknown named themes', function () {
+    expect(function () { Theme.from('purple'); }).to.throw(/theme should be one of: light, dark/);
+    expect(function () { Theme.from('toString'); }).to.throw(/theme should be one of/);
+    expect(function () { return new Theme({ extends: 'constructor' }); }).to.throw(/theme\.extends should be one of/);
+  });
+
+  it('merges a custom theme with the theme it extends', function () {
+    var theme = Theme.from({ name: 'brand', extends: 'dark', accent: '#CB3837', continents: { europe: '#cb3837' } });
+
+    expect(theme.name).to.equal('brand');
+    expect(theme.accent).to.equal('#cb3837');
+    expect(theme.base).to.equal(Theme.themes.dark.base);
+    expect(theme.continents.europe).to.equal('#cb3837');
+    expect(theme.continents.asia).to.equal(Theme.themes.dark.continents.asia);
+  });
+
+  it('names custom themes custom by default', function () {
+    expect(Theme.from({ extends: 'dark' }).name).to.equal('custom');
+  });
+
+  it('reserves the names of the named themes', function () {
+    expect(function () {
+      Theme.from({ name: 'dark', accent: '#cb3837' });
+    }).to.throw(/theme\.name `dark` is reserved for the named theme/);
+  });
+
+  it('interpolates the heatmap shades', function () {
+    var heatmap = Theme.from({ heatmap: [ '#000', '#fff' ] }).heatmap;
+
+    expect(heatmap[0]).to.equal('#000000');
+    expect(heatmap[5]).to.equal('#808080');
+    expect(heatmap[10]).to.equal('#ffffff');
+  });
+
+  it('validates the colors', function () {
+    expect(function () {
+      Theme.from({ accent: 'red' });
+    }).to.throw(/theme\.accent should be a hexadecimal color/);
+  });
+});
@@ -0,0 +1,242 @@
+describe('Widget', function () {
+  'use strict';
+
+  var common = require('./common')
+    , expect = common.expect
+    , Widget = require('../widget')
+    , EventEmitter = require('events').EventEmitter
+    , path = require('path')
+    , http = require('http')
+    , server, base, widget, failing;
+
+  //
+  // Pagelet with the methods the widget uses, index.js requires npm-probe.
+  //
+  function Status(options) {
+    this.temper = options.temper;
+  }
+
+  Status.prototype = {
+    id: 'status-1',
+    view: path.join(__dirname, 'fixtures', 'view.ejs'),
+    js: [ path.join(__dirname, '..', 'client.js') ],
+    css: [ path.join(__dirname, '..', 'css.styl') ],
+    dependencies: [ '//cdnjs.cloudflare.com/ajax/libs/d3/3.4.8/d3.min.js' ],
+    query: [ 'title', 'report' ],
+    title: 'Registry <status>',
+    report: { npmjs: { '24h': { uptime: 99.9 } } },
+    feed: null,
+
+    get: function get(next) {
+      next(failing ? new Error('[registry-status-pagelet] broken catalog') : null, this);
+    },
+
+    serve: function serve(req, res) {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.end('probe,registry\n');
+    },
+
+    details: function details(reply, name) {
+      if (name !== 'npmjs') return reply('Unknown registry: '+ name);
+      reply(null, { latest: {}, failures: [] });
+    },
+
+    sla: function sla(reply, query) {
+      if (failing) return reply('broken');
+      reply(null, { query: query });
+    }
+  };
+
+  function get(pathname, fn) {
+    http.get(base + pathname, function (res) {
+      var body = '';
+
+      res.setEncoding('utf-8');
+      res.on('data', function (chunk) { body += chunk; });
+      res.on('end', function () { fn(res, body); });
+    });
+  }
+
+  before(function (done) {
+    server = http.createServer(function (req, res) {
+      widget.serve(req, res);
+    }).listen(0, '127.0.0.1', function () {
+      base = 'http://127.0.0.1:'+ server.address().port;
+      done();
+    });
+  });
+
+  after(function (done) {
+    server.close(function () { done(); });
+  });
+
+  beforeEach(function () {
+    failing = false;
+    Status.prototype.feed = null;
+    widget = new Widget(Status, { path: '/status/', name: 'npm' });
+  });
+
+  it('serves the standalone page', function (done) {
+    get('/status', function (res, body) {
+      expect(res.statusCode).to.equal(200);
+      expect(res.headers['content-type']).to.equal('text/html; charset=utf-8');
+      expect(body).to.contain('<script src="/status/status.js"></script>');
+      expect(body).to.contain('RegistryStatus.mount(document.getElementById(\'registry-status\'), "/status")');
+      done();
+    });
+  });
+
+  it('answers unknown routes and methods with 404', function (done) {
+    get('/status/unknown', function (res) {
+      expect(res.statusCode).to.equal(404);
+
+      var req = http.request({ method: 'POST', host: '127.0.0.1', port: server.address().port, path: '/status/sla' }, function (res) {
+        expect(res.statusCode).to.equal(404);
+        res.resume();
+        done();
+      });
+
+      req.end();
+    });
+  });
+
+  describe('/status.json', function () {
+    it('serves the rendered view and the data of the client', function (done) {
+      get('/status/status.json', function (res, body) {
+        expect(res.statusCode).to.equal(200);
+        expect(res.headers['content-type']).to.equal('application/json; charset=utf-8');
+        expect(JSON.parse(body)).to.eql({
+          id: 'status-1',
+          name: 'npm',
+          html: '<div class="registry-status">Registry &lt;status&gt;</div>\n',
+          data: { title: 'Registry <status>', report: { npmjs: { '24h': { uptime: 99.9 } } } }
+        });
+
+        done();
+      });
+    });
+
+    it('answers errors with 500', function (done) {
+      failing = true;
+
+      get('/status/status.json', function (res, body) {
+        expect(res.statusCode).to.equal(500);
+        expect(body).to.equal('[registry-status-pagelet] broken catalog');
+        done();
+      });
+    });
+  });
+
+  it('serves the client code and the stylesheet', function (done) {
+    get('/status/status.js', function (res, body) {
+      expect(res.headers['content-type']).to.equal('text/javascript; charset=utf-8');
+      expect(body).to.contain('window.RegistryStatus = { mount: mount.standalone, Chart: Chart };');
+
+      get('/status/status.css', function (res, body) {
+        expect(res.headers['content-type']).to.equal('text/css; charset=utf-8');
+        expect(body).to.contain('.registry-status');
+        done();
+      });
+    });
+  });
+
+  it('exports the data through the pagelet', function (done) {
+    get('/status/export?format=csv', function (res, body) {
+      expect(res.statusCode).to.equal(200);
+      expect(res.headers['content-type']).to.equal('text/csv; charset=utf-8');
+      expect(body).to.equal('probe,registry\n');
+      done();
+    });
+  });
+
+  describe('/details', function () {
+    it('serves the runs of the registry', function (done) {
+      get('/status/details?registry=npmjs', function (res, body) {
+        expect(res.statusCode).to.equal(200);
+        expect(res.headers['content-type']).to.equal('application/json; charset=utf-8');
+        expect(JSON.parse(body)).to.eql({ latest: {}, failures: [] });
+        done();
+      });
+    });
+
+    it('answers unknown registries with 404', function (done) {
+      get('/status/details?registry=europe', function (res, body) {
+        expect(res.statusCode).to.equal(404);
+        expect(body).to.equal('Unknown registry: europe');
+        done();
+      });
+    });
+  });
+
+  describe('/sla', function () {
+    it('passes the registries and time range to the pagelet', function (done) {
+      get('/status/sla?registry=npmjs,europe&from=1000&to=2000', function (res, body) {
+        expect(res.statusCode).to.equal(200);
+        expect(res.headers['content-type']).to.equal('application/json; charset=utf-8');
+        expect(JSON.parse(body)).to.eql({
+          query: { registry: [ 'npmjs', 'europe' ], from: '1000', to: '2000' }
+        });
+
+        done();
+      });
+    });
+
+    it('answers errors with 500', function (done) {
+      failing = true;
+
+      get('/status/sla', function (res, body) {
+        expect(res.statusCode).to.equal(500);
+        expect(body).to.equal('broken');
+        done();
+      });
+    });
+  });
+
+  describe('/events', function () {
+    it('answers with 204 without feed', function (done) {
+      get('/status/events', function (res, body) {
+        expect(res.statusCode).to.equal(204);
+        expect(body).to.equal('');
+        done();
+      });
+    });
+
+    it('streams the results of the feed as server-sent events', function (done) {
+      var feed = Status.prototype.feed = new EventEmitter();
+
+      http.get(base +'/status/events', function (res) {
+        var body = '';
+
+        expect(res.statusCode).to.equal(200);
+        expect(res.headers['content-type']).to.equal('text/event-stream');
+        expect(res.headers['cache-control']).to.equal('no-cache');
+        expect(feed.listeners('data')).to.have.length(1);
+
+        res.setEncoding('utf-8');
+        res.on('data', function (chunk) {
+          body += chunk;
+          if (body.split('\n\n').length < 4) return;
+
+          expect(body).to.equal([
+            ': connected',
+            'data: {"data":{"name":"ping","registry":"npmjs"},"latest":120}',
+            'data: {"data":{"name":"delta","registry":"npmjs"},"latest":5}',
+            ''
+          ].join('\n\n'));
+
+          res.socket.once('close', function () {
+            setTimeout(function () {
+              expect(feed.listeners('data')).to.have.length(0);
+              done();
+            }, 20);
+          });
+
+          res.destroy();
+        });
+
+        feed.emit('data', { data: { name: 'ping', registry: 'npmjs' }, latest: 120 });
+        feed.emit('data', { data: { name: 'delta', registry: 'npmjs' }, latest: 5 });
+      });
+    });
+  });
+});
@@ -0,0 +1,413 @@
+'use strict';
+
+/**
+ * Colors of the map, markers, charts and heatmap. The theme is applied as CSS
+ * custom properties on the pagelet, see `variables`, so the stylesheet never
+ * has to be forked. A theme has the following properties:
+ *  - name {String}: used as theme-{name} class on the pagelet, defaults to
+ *    custom. Names of the named themes are reserved.
+ *  - base, background, highlight, accent, muted, grid {String}: colors of the
+ *    text, axes, backgrounds, values and grid lines.
+ *  - operational, degraded, outage, unknown {String}: health state colors.
+ *  - success, failure {String}: colors of the publish stacks.
+ *  - land {String}: countries without a continent color.
+ *  - continents {Object}: color per continent, see Theme.continents.
+ *  - heatmap {Array}: the lowest and highest lag colors, or one color per
+ *    shade, see Theme.shades.
+ *  - series {Array}: colors of the registries in compare mode.
+ *
+ * @constructor
+ * @param {Object} theme Properties of the theme, merged with the extended theme.
+ * @api public
+ */
+function Theme(theme) {
+  var parent;
+
+  theme = theme || {};
+  if (theme.extends && !Object.prototype.hasOwnProperty.call(Theme.themes, theme.extends)) {
+    throw this.error('theme.extends should be one of: '+ Object.keys(Theme.themes).join(', '));
+  }
+
+  parent = Theme.themes[theme.extends || 'light'];
+  this.name = theme.name || 'custom';
+
+  if (!/^[\w-]+$/.test(this.name)) {
+    throw this.error('theme.name should be a string of letters, digits, - or _');
+  }
+
+  //
+  // The client switches between themes by name, a custom theme should not
+  // replace a named theme.
+  //
+  if (Object.prototype.hasOwnProperty.call(Theme.themes, this.name)) {
+    throw this.error('theme.name `'+ this.name +'` is reserved for the named theme, use another name');
+  }
+
+  Theme.colors.forEach(function each(key) {
+    this[key] = this.color(key in theme ? theme[key] : parent[key], 'theme.'+ key);
+  }, this);
+
+  this.continents = Theme.continents.reduce(function reduce(memo, continent) {
+    var source = (theme.continents || {})[continent] || parent.continents[continent];
+
+    memo[continent] = this.color(source, 'theme.continents.'+ continent);
+    return memo;
+  }.bind(this), {});
+
+  this.heatmap = this.shades(theme.heatmap || parent.heatmap);
+  this.series = this.palette(theme.series || parent.series);
+}
+
+//
+// Properties of the theme that contain a single color.
+//
+Theme.colors = [
+  'base', 'background', 'highlight', 'accent', 'muted', 'grid', 'operational',
+  'degraded', 'outage', 'unknown', 'success', 'failure', 'land'
+];
+
+//
+// Continents of the world map, see the properties of world.json.
+//
+Theme.continents = [
+  'north-america', 'south-america', 'asia', 'europe', 'africa', 'oceania'
+];
+
+//
+// Number of heatmap shades, the hecta-0..10 classes of the delta chart. The
+// client counts the --status-heatmap-* variables of the theme.
+//
+Theme.shades = 11;
+
+//
+// Number of compare colors, the series-0..7 classes of compare mode. The
+// client counts the --status-series-* variables of the theme.
+//
+Theme.series = 8;
+
+//
+// Named themes, select one through the `theme` option of the pagelet.
+//
+Theme.themes = {
+  light: {
+    base: '#444',
+    background: '#fff',
+    highlight: '#f4f4f4',
+    accent: '#2980b9',
+    muted: '#999',
+    grid: '#ccc',
+    operational: '#a7cf37',
+    degraded: '#ffb800',
+    outage: '#bf3d33',
+    unknown: '#ccc',
+    success: '#2980b9',
+    failure: '#ffb800',
+    land: '#2980b9',
+    continents: {
+      'north-america': '#a7cf37',
+      'south-america': '#bdce36',
+      'asia': '#c77f33',
+      'europe': '#c46833',
+      'africa': '#ccb033',
+      'oceania': '#bf3d33'
+    },
+    heatmap: [ '#fff', '#2980b9' ],
+    series: [
+      '#2980b9', '#bf3d33', '#a7cf37', '#c77f33',
+      '#8e44ad', '#ccb033', '#16a085', '#444'
+    ]
+  },
+
+  dark: {
+    base: '#ddd',
+    background: '#1e2226',
+    highlight: '#2c3238',
+    accent: '#4aa3df',
+    muted: '#8a939b',
+    grid: '#4a5259',
+    operational: '#9ccc3c',
+    degraded: '#f5b82e',
+    outage: '#e5533d',
+    unknown: '#5c656d',
+    success: '#4aa3df',
+    failure: '#f5b82e',
+    land: '#4aa3df',
+    continents: {
+      'north-america': '#bf3d33',
+      'south-america': '#c15233',
+      'asia': '#c46833',
+      'europe': '#c77f33',
+      'africa': '#c99733',
+      'oceania': '#ccb033'
+    },
+    heatmap: [ '#2c3238', '#4aa3df' ],
+    series: [
+      '#4aa3df', '#e5533d', '#9ccc3c', '#e08e45',
+      '#b07cd8', '#e0c341', '#2fc4a4', '#ddd'
+    ]
+  },
+
+  'high-contrast': {
+    base: '#000',
+    background: '#fff',
+    highlight: '#e0e0e0',
+    accent: '#0047ab',
+    muted: '#333',
+    grid: '#666',
+    operational: '#006400',
+    degraded: '#a65c00',
+    outage: '#c00000',
+    unknown: '#767676',
+    success: '#0047ab',
+    failure: '#a65c00',
+    land: '#0047ab',
+    continents: {
+      'north-america': '#333',
+      'south-america': '#555',
+      'asia': '#333',
+      'europe': '#555',
+      'africa': '#333',
+      'oceania': '#555'
+    },
+    heatmap: [ '#fff', '#000' ],
+    series: [
+      '#0047ab', '#c00000', '#006400', '#a65c00',
+      '#6a0dad', '#000', '#007b7b', '#767676'
+    ]
+  },
+
+  //
+  // Based on the Okabe-Ito palette, distinguishable with all common types of
+  // color vision deficiency.
+  //
+  colorblind: {
+    base: '#444',
+    background: '#fff',
+    highlight: '#f4f4f4',
+    accent: '#0072b2',
+    muted: '#999',
+    grid: '#ccc',
+    operational: '#009e73',
+    degraded: '#e69f00',
+    outage: '#d55e00',
+    unknown: '#ccc',
+    success: '#0072b2',
+    failure: '#e69f00',
+    land: '#0072b2',
+    continents: {
+      'north-america': '#e69f00',
+      'south-america': '#56b4e9',
+      'asia': '#009e73',
+      'europe': '#f0e442',
+      'africa': '#cc79a7',
+      'oceania': '#d55e00'
+    },
+    heatmap: [ '#f7fbff', '#0072b2' ],
+    series: [
+      '#0072b2', '#e69f00', '#009e73', '#cc79a7',
+      '#56b4e9', '#d55e00', '#f0e442', '#000'
+    ]
+  }
+};
+
+/**
+ * Validate the color, hexadecimal notation is required so shades can be
+ * interpolated.
+ *
+ * @param {String} value Color as #rgb or #rrggbb.
+ * @param {String} at Path of the property, used in the error message.
+ * @returns {String} color
+ * @api private
+ */
+Theme.prototype.color = function color(value, at) {
+  if ('string' !== typeof value || !/^#([\da-f]{3}){1,2}$/i.test(value)) {
+    throw this.error(at +' should be a hexadecimal color, e.g. #2980b9');
+  }
+
+  return value.toLowerCase();
+};
+
+/**
+ * Get the shades of the heatmap, two colors are interpolated.
+ *
+ * @param {Array} colors Lowest and highest color or Theme.shades colors.
+ * @returns {Array} shades
+ * @api private
+ */
+Theme.prototype.shades = function shades(colors) {
+  var low, high, i, result = [];
+
+  if (!Array.isArray(colors) || (colors.length !== 2 && colors.length !== Theme.shades)) {
+    throw this.error('theme.heatmap should be an array of 2 or '+ Theme.shades +' colors');
+  }
+
+  colors = colors.map(function map(value, i) {
+    return this.color(value, 'theme.heatmap['+ i +']');
+  }, this);
+
+  if (colors.length === Theme.shades) return colors;
+
+  low = this.rgb(colors[0]);
+  high = this.rgb(colors[1]);
+
+  for (i = 0; i < Theme.shades; i++) {
+    result.push(this.hex(low.map(function map(channel, c) {
+      return channel + (high[c] - channel) * i / (Theme.shades - 1);
+    })));
+  }
+
+  return result;
+};
+
+/**
+ * Get the compare colors, shorter palettes are repeated.
+ *
+ * @param {Array} colors
+ * @returns {Array} Theme.series colors
+ * @api private
+ */
+Theme.prototype.palette = function palette(colors) {
+  var result = [], i;
+
+  if (!Array.isArray(colors) || !colors.length) {
+    throw this.error('theme.series should be a non-empty array of colors');
+  }
+
+  while (result.length < Theme.series) {
+    i = result.length % colors.length;
+    result.push(this.color(colors[i], 'theme.series['+ i +']'));
+  }
+
+  return result;
+};
+
+/**
+ * Convert the hexadecimal color to red, green and blue channels.
+ *
+ * @param {String} value Color as #rgb or #rrggbb.
+ * @returns {Array} channels
+ * @api private
+ */
+Theme.prototype.rgb = function rgb(value) {
+  value = value.slice(1);
+  if (value.length === 3) value = value.replace(/./g, '$&$&');
+
+  return [ 0, 2, 4 ].map(function map(i) {
+    return parseInt(value.substr(i, 2), 16);
+  });
+};
+
+/**
+ * Convert the red, green and blue channels to a hexadecimal color.
+ *
+ * @param {Array} channels
+ * @returns {String} color
+ * @api private
+ */
+Theme.prototype.hex = function hex(channels) {
+  return '#'+ channels.map(function map(channel) {
+    return ('0'+ Math.round(channel).toString(16)).slice(-2);
+  }).join('');
+};
+
+/**
+ * Get the CSS custom properties of the theme, as used by css.styl.
+ *
+ * @returns {Object} property name and color
+ * @api public
+ */
+Theme.prototype.variables = function variables() {
+  var result = {};
+
+  Theme.colors.forEach(function each(key) {
+    result['--status-'+ key] = this[key];
+  }, this);
+
+  Theme.continents.forEach(function each(continent) {
+    result['--status-'+ continent] = this.continents[continent];
+  }, this);
+
+  this.heatmap.forEach(function each(color, i) {
+    result['--status-heatmap-'+ i] = color;
+  });
+
+  this.series.forEach(function each(color, i) {
+    result['--status-series-'+ i] = color;
+  });
+
+  return result;
+};
+
+/**
+ * Get the theme as inline style declarations.
+ *
+ * @returns {String} style
+ * @api public
+ */
+Theme.prototype.style = function style() {
+  var variables = this.variables();
+
+  return Object.keys(variables).map(function map(key) {
+    return key +': '+ variables[key];
+  }).join('; ');
+};
+
+/**
+ * Create a namespaced error.
+ *
+ * @param {String} message
+ * @returns {Error}
+ * @api private
+ */
+Theme.prototype.error = function error(message) {
+  return new Error('[registry-status-pagelet] '+ message);
+};
+
+/**
+ * Serialize the theme.
+ *
+ * @returns {Object} theme
+ * @api public
+ */
+Theme.prototype.toJSON = function toJSON() {
+  var result = { name: this.name };
+
+  Theme.colors.forEach(function each(key) {
+    result[key] = this[key];
+  }, this);
+
+  result.continents = this.continents;
+  result.heatmap = this.heatmap;
+  result.series = this.series;
+
+  return result;
+};
+
+/**
+ * Create a theme from the name of a named theme or a theme object, a Theme
+ * instance is returned as is.
+ *
+ * @param {Mixed} source Name, theme object or Theme.
+ * @returns {Theme}
+ * @api public
+ */
+Theme.from = function from(source) {
+  var theme;
+
+  if (source instanceof Theme) return source;
+  if ('string' !== typeof source) return new Theme(source);
+
+  if (!Object.prototype.hasOwnProperty.call(Theme.themes, source)) {
+    throw Theme.prototype.error('theme should be one of: '+ Object.keys(Theme.themes).join(', '));
+  }
+
+  theme = new Theme({ extends: source });
+  theme.name = source;
+
+  return theme;
+};
+
+//
+// Expose the theme.
+//
+module.exports = Theme;
@@ -0,0 +1,289 @@
+'use strict';
+
+var fs = require('fs')
+  , url = require('url')
+  , path = require('path')
+  , Temper = require('temper');
+
+/**
+ * Serve the status outside BigPipe, as standalone page or as widget that is
+ * mounted into any element by the client. Every request gets a new pagelet,
+ * so the data of the feed is always current. Options:
+ *  - path {String}: URL the widget is served at, defaults to /status.
+ *  - name {String}: name of the widget in the URL hash, defaults to status.
+ *  - title {String}: title of the standalone page.
+ *
+ * @constructor
+ * @param {Pagelet} Status Status pagelet, defaults to the pagelet of index.js.
+ * @param {Object} options
+ * @api public
+ */
+function Widget(Status, options) {
+  options = options || {};
+
+  this.Status = Status || require('./index');
+  this.path = (options.path || '/status').replace(/\/$/, '');
+  this.name = options.name || 'status';
+  this.title = options.title || 'Registry status';
+  this.temper = new Temper();
+  this.cache = {};
+}
+
+//
+// Routes relative to the path of the widget and the method that serves them.
+//
+Widget.routes = {
+  '/': 'page',
+  '/status.json': 'data',
+  '/status.js': 'script',
+  '/status.css': 'stylesheet',
+  '/export': 'snapshot',
+  '/details': 'details',
+  '/sla': 'sla',
+  '/events': 'events'
+};
+
+/**
+ * HTTP request handler, can be used as connect middleware. Unknown routes are
+ * passed to `next` or answered with 404.
+ *
+ * @param {Request} req HTTP request.
+ * @param {Response} res HTTP response.
+ * @param {Function} next Optional handler of unknown routes.
+ * @api public
+ */
+Widget.prototype.serve = function serve(req, res, next) {
+  var pathname = url.parse(req.url).pathname
+    , route;
+
+  if (pathname.indexOf(this.path) === 0) {
+    route = Widget.routes[pathname.slice(this.path.length) || '/'];
+  }
+
+  if (route && (req.method === 'GET' || req.method === 'HEAD')) return this[route](req, res);
+  if (next) return next();
+
+  res.statusCode = 404;
+  res.end('Not found');
+};
+
+/**
+ * Create the pagelet that provides the data of a request.
+ *
+ * @returns {Pagelet}
+ * @api private
+ */
+Widget.prototype.pagelet = function pagelet() {
+  return new this.Status({ temper: this.temper });
+};
+
+/**
+ * Serve the standalone page, it mounts the widget in the body.
+ *
+ * @param {Request} req HTTP request.
+ * @param {Response} res HTTP response.
+ * @api private
+ */
+Widget.prototype.page = function page(req, res) {
+  this.send(res, 'text/html', this.temper.fetch(path.join(__dirname, 'widget.ejs')).server({
+    title: this.title,
+    base: this.path,
+    dependencies: this.Status.prototype.dependencies
+  }));
+};
+
+/**
+ * Serve the rendered view and the data of the client as JSON.
+ *
+ * @param {Request} req HTTP request.
+ * @param {Response} res HTTP response.
+ * @api private
+ */
+Widget.prototype.data = function data(req, res) {
+  var pagelet = this.pagelet()
+    , widget = this;
+
+  pagelet.get(function done(error, result) {
+    if (error) return widget.error(res, error);
+
+    widget.send(res, 'application/json', JSON.stringify({
+      id: pagelet.id,
+      name: widget.name,
+      html: widget.temper.fetch(pagelet.view).server(result),
+      data: pagelet.query.reduce(function reduce(memo, key) {
+        memo[key] = result[key];
+        return memo;
+      }, {})
+    }));
+  });
+};
+
+/**
+ * Serve the client code and the files of custom visuals as one script, it
+ * exposes the mount function as `RegistryStatus.mount`.
+ *
+ * @param {Request} req HTTP request.
+ * @param {Response} res HTTP response.
+ * @api private
+ */
+Widget.prototype.script = function script(req, res) {
+  if (!this.cache.script) try {
+    this.cache.script = [ '(function () {' ].concat(
+      [].concat(this.Status.prototype.js).map(function read(file) {
+        return fs.readFileSync(file, 'utf-8');
+      }),
+      'window.RegistryStatus = { mount: mount.standalone, Chart: Chart };',
+      '}());'
+    ).join('\n');
+  } catch (error) { return this.error(res, error); }
+
+  this.send(res, 'text/javascript', this.cache.script);
+};
+
+/**
+ * Serve the compiled stylesheets, stylus is only required when the widget is
+ * used as BigPipe compiles the stylesheets of pagelets.
+ *
+ * @param {Request} req HTTP request.
+ * @param {Response} res HTTP response.
+ * @api private
+ */
+Widget.prototype.stylesheet = function stylesheet(req, res) {
+  if (!this.cache.stylesheet) try {
+    this.cache.stylesheet = [].concat(this.Status.prototype.css).map(function compile(file) {
+      var source = fs.readFileSync(file, 'utf-8');
+
+      if (path.extname(file) !== '.styl') return source;
+      return require('stylus').render(source, { filename: file });
+    }).join('\n');
+  } catch (error) { return this.error(res, error); }
+
+  this.send(res, 'text/css', this.cache.stylesheet);
+};
+
+/**
+ * Serve older data for the charts, see the serve method of the pagelet.
+ *
+ * @param {Request} req HTTP request.
+ * @param {Response} res HTTP response.
+ * @api private
+ */
+Widget.prototype.snapshot = function snapshot(req, res) {
+  this.pagelet().serve(req, res);
+};
+
+/**
+ * Serve the probe runs of the registry in the query string as JSON, see the
+ * details method of the pagelet.
+ *
+ * @param {Request} req HTTP request.
+ * @param {Response} res HTTP response.
+ * @api private
+ */
+Widget.prototype.details = function details(req, res) {
+  var query = url.parse(req.url, true).query
+    , widget = this;
+
+  this.pagelet().details(function reply(error, runs) {
+    if (!error) return widget.send(res, 'application/json', JSON.stringify(runs));
+
+    res.statusCode = 404;
+    res.end(error);
+  }, query.registry);
+};
+
+/**
+ * Serve the uptime report of the registries and time range in the query string
+ * as JSON, registries are comma separated, see the sla method of the pagelet.
+ *
+ * @param {Request} req HTTP request.
+ * @param {Response} res HTTP response.
+ * @api private
+ */
+Widget.prototype.sla = function sla(req, res) {
+  var query = url.parse(req.url, true).query
+    , widget = this;
+
+  this.pagelet().sla(function reply(error, reports) {
+    if (error) return widget.error(res, new Error(error));
+    widget.send(res, 'application/json', JSON.stringify(reports));
+  }, {
+    registry: query.registry ? String(query.registry).split(',') : undefined,
+    from: query.from,
+    to: query.to
+  });
+};
+
+/**
+ * Stream the probe results of the feed as server-sent events. Without feed
+ * 204 is returned, which stops the client from reconnecting.
+ *
+ * @param {Request} req HTTP request.
+ * @param {Response} res HTTP response.
+ * @api private
+ */
+Widget.prototype.events = function events(req, res) {
+  var feed = this.Status.prototype.feed;
+
+  if (!feed) {
+    res.statusCode = 204;
+    return res.end();
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  //
+  // Headers are only sent with the first write, open the stream with a comment
+  // so the client is connected before the first probe result.
+  //
+  res.write(': connected\n\n');
+
+  /**
+   * Write the probe result as event.
+   *
+   * @param {Object} probe Probe result as emitted by the feed.
+   * @api private
+   */
+  function data(probe) {
+    res.write('data: '+ JSON.stringify(probe) +'\n\n');
+  }
+
+  feed.on('data', data);
+  req.once('close', function close() {
+    feed.removeListener('data', data);
+  });
+};
+
+/**
+ * Send the content with the content type.
+ *
+ * @param {Response} res HTTP response.
+ * @param {String} type Content type.
+ * @param {String} content
+ * @api private
+ */
+Widget.prototype.send = function send(res, type, content) {
+  res.setHeader('Content-Type', type +'; charset=utf-8');
+  res.end(content);
+};
+
+/**
+ * Answer with the message of the error.
+ *
+ * @param {Response} res HTTP response.
+ * @param {Error} err
+ * @api private
+ */
+Widget.prototype.error = function error(res, err) {
+  res.statusCode = 500;
+  res.end(err.message);
+};
+
+//
+// Expose the widget.
+//
+module.exports = Widget;